@@ -21,4 +21,25 @@ pool.on('error', (err) => {
   process.exit(-1);
 });
 
-module.exports = { pool };
+/**
+ * Run a callback inside a single database transaction.
+ * The callback receives a dedicated client; the transaction is committed
+ * when it resolves and rolled back if it throws.
+ */
+async function withTransaction(callback) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { pool, withTransaction };
@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool, withTransaction } = require('./database');
+
+// JWT signing algorithm: HS256 (shared JWT_SECRET) or RS256/ES256 (key pairs in jwt_signing_keys)
+const JWT_ALGORITHM = process.env.JWT_ALGORITHM || 'HS256';
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'ES256'];
+
+// JWT Secret (should be in environment variables) - only used for HS256
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+
+// Optional passphrase to encrypt private keys at rest
+const KEY_PASSPHRASE = process.env.JWT_KEY_PASSPHRASE || null;
+
+// Every instance reloads keys this often, so a new key is published in the JWKS
+// (and known to all instances) before it starts signing
+const KEY_REFRESH_INTERVAL = 5 * 60 * 1000;
+const KEY_ACTIVATION_DELAY_SECONDS = parseInt(process.env.JWT_KEY_ACTIVATION_DELAY_SECONDS, 10) || 10 * 60;
+
+let keyring = [];
+
+/**
+ * Whether tokens are signed with asymmetric keys
+ */
+function isAsymmetric() {
+  return ASYMMETRIC_ALGORITHMS.includes(JWT_ALGORITHM);
+}
+
+/**
+ * Generate key pair for a JWT algorithm
+ */
+function generateKeyPair(algorithm) {
+  if (algorithm === 'RS256') {
+    return crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  }
+
+  if (algorithm === 'ES256') {
+    return crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  }
+
+  throw new Error(`Unsupported JWT algorithm: ${algorithm}`);
+}
+
+/**
+ * Load signing keys from database into memory
+ */
+async function loadKeys() {
+  const result = await pool.query(
+    'SELECT kid, algorithm, private_key, public_jwk, activates_at, retires_at FROM jwt_signing_keys ORDER BY activates_at DESC'
+  );
+
+  keyring = result.rows.map(row => ({
+    kid: row.kid,
+    alg: row.algorithm,
+    privateKey: crypto.createPrivateKey({
+      key: row.private_key,
+      format: 'pem',
+      passphrase: KEY_PASSPHRASE || undefined
+    }),
+    publicKey: crypto.createPublicKey({ key: row.public_jwk, format: 'jwk' }),
+    publicJwk: row.public_jwk,
+    activatesAt: new Date(row.activates_at),
+    retiresAt: row.retires_at ? new Date(row.retires_at) : null
+  }));
+
+  return keyring;
+}
+
+/**
+ * Create new signing key and retire the current one
+ * The new key activates after KEY_ACTIVATION_DELAY_SECONDS (immediately if no key
+ * is active yet). Retired keys stay published for verification until tokens signed
+ * with them have expired, then they are deleted.
+ * @param {object} options
+ * @param {number} options.retentionSeconds - Longest lifetime of a signed token
+ * @param {string} [options.algorithm] - Defaults to JWT_ALGORITHM
+ * @returns {Promise<object>} - { kid, algorithm, activates_at, pruned }
+ */
+async function rotateKeys({ retentionSeconds, algorithm = JWT_ALGORITHM }) {
+  if (!ASYMMETRIC_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Key rotation requires JWT_ALGORITHM to be one of: ${ASYMMETRIC_ALGORITHMS.join(', ')}`);
+  }
+
+  const { privateKey, publicKey } = generateKeyPair(algorithm);
+  const kid = crypto.randomUUID();
+
+  const privatePem = privateKey.export({
+    type: 'pkcs8',
+    format: 'pem',
+    ...(KEY_PASSPHRASE ? { cipher: 'aes-256-cbc', passphrase: KEY_PASSPHRASE } : {})
+  });
+  const publicJwk = { ...publicKey.export({ format: 'jwk' }), kid, alg: algorithm, use: 'sig' };
+
+  return withTransaction(async (client) => {
+    const active = await client.query(
+      `SELECT kid FROM jwt_signing_keys
+       WHERE activates_at <= NOW() AND (retires_at IS NULL OR retires_at > NOW())
+       LIMIT 1`
+    );
+
+    const delay = active.rows.length > 0 ? KEY_ACTIVATION_DELAY_SECONDS : 0;
+
+    const inserted = await client.query(
+      `INSERT INTO jwt_signing_keys (kid, algorithm, private_key, public_jwk, activates_at)
+       VALUES ($1, $2, $3, $4, NOW() + make_interval(secs => $5))
+       RETURNING activates_at`,
+      [kid, algorithm, privatePem, publicJwk, delay]
+    );
+
+    const activatesAt = inserted.rows[0].activates_at;
+
+    // Current (and pending) keys stop signing when the new key takes over
+    await client.query(
+      'UPDATE jwt_signing_keys SET retires_at = $1 WHERE kid <> $2 AND (retires_at IS NULL OR retires_at > $1)',
+      [activatesAt, kid]
+    );
+
+    // Drop keys whose tokens have all expired
+    const pruned = await client.query(
+      'DELETE FROM jwt_signing_keys WHERE retires_at < NOW() - make_interval(secs => $1)',
+      [retentionSeconds]
+    );
+
+    return {
+      kid,
+      algorithm,
+      activates_at: activatesAt,
+      pruned: pruned.rowCount
+    };
+  });
+}
+
+/**
+ * Load keys and keep them fresh (call once at startup)
+ * Creates the first key when asymmetric signing is enabled and none exists.
+ * @param {object} options
+ * @param {number} options.retentionSeconds - Longest lifetime of a signed token
+ */
+async function initKeys({ retentionSeconds }) {
+  if (!isAsymmetric()) {
+    return;
+  }
+
+  await loadKeys();
+
+  if (!getSigningKey()) {
+    await rotateKeys({ retentionSeconds });
+    await loadKeys();
+  }
+
+  setInterval(() => {
+    loadKeys().catch(error => {
+      console.error('Signing key refresh error:', error);
+    });
+  }, KEY_REFRESH_INTERVAL).unref();
+}
+
+/**
+ * Key currently used for signing (most recently activated, not retired)
+ */
+function getSigningKey() {
+  const now = new Date();
+
+  return keyring.find(key =>
+    key.activatesAt <= now && (!key.retiresAt || key.retiresAt > now)
+  ) || null;
+}
+
+/**
+ * Public keys in JWKS format (all keys that may still have valid tokens)
+ */
+function getJwks() {
+  return { keys: keyring.map(key => key.publicJwk) };
+}
+
+/**
+ * Sign JWT with the active key (or JWT_SECRET for HS256)
+ * @param {object} payload - Token claims
+ * @param {string} expiresIn - Lifetime in jsonwebtoken format, e.g. '15m'
+ */
+function signJwt(payload, expiresIn) {
+  if (!isAsymmetric()) {
+    return jwt.sign(payload, JWT_SECRET, { algorithm: 'HS256', expiresIn });
+  }
+
+  const key = getSigningKey();
+  if (!key) {
+    throw new Error('No active JWT signing key - run npm run keys:rotate');
+  }
+
+  return jwt.sign(payload, key.privateKey, { algorithm: key.alg, keyid: key.kid, expiresIn });
+}
+
+/**
+ * Verify JWT signature and expiry
+ * Asymmetric tokens are looked up by kid. HS256 tokens are accepted while in
+ * HS256 mode, or during a migration when JWT_SECRET is still explicitly set.
+ * @throws {Error} - If the token is invalid
+ */
+function verifyJwt(token) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) {
+    throw new Error('Malformed token');
+  }
+
+  if (decoded.header.alg === 'HS256') {
+    if (isAsymmetric() && !process.env.JWT_SECRET) {
+      throw new Error('HS256 tokens are not accepted');
+    }
+    return jwt.verify(token, JWT_SECRET, { algorithms: ['HS256'] });
+  }
+
+  const key = keyring.find(k => k.kid === decoded.header.kid);
+  if (!key) {
+    throw new Error('Unknown signing key');
+  }
+
+  return jwt.verify(token, key.publicKey, { algorithms: [key.alg] });
+}
+
+module.exports = {
+  JWT_ALGORITHM,
+  JWT_SECRET,
+  initKeys,
+  loadKeys,
+  rotateKeys,
+  getJwks,
+  signJwt,
+  verifyJwt
+};
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Mail driver: 'smtp' for real delivery, 'file' or 'console' for local/offline use.
+// Mail carries reset and verification tokens, so production must choose a
+// driver instead of falling back to logging them.
+if (!process.env.MAIL_DRIVER && process.env.NODE_ENV === 'production') {
+  throw new Error('MAIL_DRIVER must be set when NODE_ENV=production');
+}
+
+const MAIL_DRIVER = process.env.MAIL_DRIVER || 'console';
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@example.com';
+const MAIL_FILE_DIR = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'tmp', 'mail');
+
+let smtpTransport = null;
+
+/**
+ * Lazily create SMTP transport (only when the smtp driver is used)
+ */
+function getSmtpTransport() {
+  if (!smtpTransport) {
+    smtpTransport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      } : undefined
+    });
+  }
+
+  return smtpTransport;
+}
+
+const drivers = {
+  async smtp(message) {
+    await getSmtpTransport().sendMail(message);
+  },
+
+  async file(message) {
+    await fs.promises.mkdir(MAIL_FILE_DIR, { recursive: true });
+    const filename = `${Date.now()}-${message.to.replace(/[^a-z0-9@.-]/gi, '_')}.json`;
+    await fs.promises.writeFile(
+      path.join(MAIL_FILE_DIR, filename),
+      JSON.stringify(message, null, 2)
+    );
+  },
+
+  async console(message) {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+};
+
+/**
+ * Send email through the configured driver
+ * @param {object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} [message.html] - Optional HTML body
+ */
+async function sendMail({ to, subject, text, html }) {
+  const driver = drivers[MAIL_DRIVER];
+
+  if (!driver) {
+    throw new Error(`Unknown MAIL_DRIVER: ${MAIL_DRIVER}`);
+  }
+
+  await driver({ from: MAIL_FROM, to, subject, text, html });
+}
+
+module.exports = {
+  sendMail,
+  MAIL_DRIVER
+};
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// OpenID Connect providers for social login
+// Issuer and JWKS URLs can be overridden to point at a local mock identity provider.
+// A provider is enabled once at least one client ID (audience) is configured.
+const providers = {
+  google: {
+    issuer: process.env.OIDC_GOOGLE_ISSUER || 'https://accounts.google.com',
+    // Google tokens may carry the issuer with or without the scheme
+    altIssuers: process.env.OIDC_GOOGLE_ISSUER ? [] : ['accounts.google.com'],
+    jwksUri: process.env.OIDC_GOOGLE_JWKS_URI || 'https://www.googleapis.com/oauth2/v3/certs',
+    clientIds: splitList(process.env.OIDC_GOOGLE_CLIENT_IDS)
+  },
+  apple: {
+    issuer: process.env.OIDC_APPLE_ISSUER || 'https://appleid.apple.com',
+    altIssuers: [],
+    jwksUri: process.env.OIDC_APPLE_JWKS_URI || 'https://appleid.apple.com/auth/keys',
+    clientIds: splitList(process.env.OIDC_APPLE_CLIENT_IDS)
+  }
+};
+
+const JWKS_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+const JWKS_MIN_REFRESH_INTERVAL = 60 * 1000; // refetch at most once a minute on unknown kid
+
+const jwksCache = new Map();
+
+function splitList(value) {
+  return (value || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Get configured provider, or null if unknown/disabled
+ */
+function getProvider(name) {
+  const provider = providers[name];
+  return provider && provider.clientIds.length > 0 ? provider : null;
+}
+
+/**
+ * Fetch provider's JSON Web Key Set (cached)
+ */
+async function getSigningKeys(provider, forceRefresh = false) {
+  const cached = jwksCache.get(provider.jwksUri);
+  const now = Date.now();
+
+  if (cached && (now - cached.fetchedAt < JWKS_CACHE_TTL) &&
+      (!forceRefresh || now - cached.fetchedAt < JWKS_MIN_REFRESH_INTERVAL)) {
+    return cached.keys;
+  }
+
+  const response = await fetch(provider.jwksUri);
+  if (!response.ok) {
+    throw new Error(`JWKS request failed with status ${response.status}`);
+  }
+
+  const { keys } = await response.json();
+  jwksCache.set(provider.jwksUri, { keys, fetchedAt: now });
+
+  return keys;
+}
+
+/**
+ * Find public key matching the token's kid
+ * Refetches the JWKS once when the kid is unknown (provider rotated keys)
+ */
+async function getPublicKey(provider, kid) {
+  let keys = await getSigningKeys(provider);
+  let jwk = keys.find(key => key.kid === kid);
+
+  if (!jwk) {
+    keys = await getSigningKeys(provider, true);
+    jwk = keys.find(key => key.kid === kid);
+  }
+
+  if (!jwk) {
+    return null;
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+/**
+ * Verify ID token from an OIDC provider
+ * Checks signature (against the provider's JWKS), issuer, audience, expiry
+ * and - when the client supplied one - the nonce.
+ * @param {string} providerName - 'google' or 'apple'
+ * @param {string} idToken - ID token obtained by the mobile app
+ * @param {string} [nonce] - Raw nonce used when requesting the token
+ * @returns {Promise<object|null>} - Verified claims, or null if invalid
+ */
+async function verifyIdToken(providerName, idToken, nonce) {
+  const provider = getProvider(providerName);
+  if (!provider) {
+    return null;
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header.kid) {
+    return null;
+  }
+
+  const publicKey = await getPublicKey(provider, decoded.header.kid);
+  if (!publicKey) {
+    return null;
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, publicKey, {
+      algorithms: ['RS256', 'ES256'],
+      issuer: [provider.issuer, ...provider.altIssuers],
+      audience: provider.clientIds
+    });
+  } catch (error) {
+    return null;
+  }
+
+  if (nonce !== undefined) {
+    // Apple expects the SHA-256 of the nonce in the request; Google echoes it as-is
+    const hashedNonce = crypto.createHash('sha256').update(nonce).digest('hex');
+    if (claims.nonce !== nonce && claims.nonce !== hashedNonce) {
+      return null;
+    }
+  }
+
+  return claims;
+}
+
+module.exports = {
+  getProvider,
+  verifyIdToken
+};
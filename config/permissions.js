@@ -0,0 +1,43 @@
+// Role-based access control
+// Permission matrix: what each role may do beyond acting on its own resources.
+// Owners always have full access to their own items; these permissions grant
+// access to other users' data.
+const ROLES = ['user', 'moderator', 'admin'];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: [
+    'items:read:any',
+    'items:delete:any',
+    'users:read'
+  ],
+  admin: [
+    'items:read:any',
+    'items:update:any',
+    'items:delete:any',
+    'users:read',
+    'users:manage',
+    'audit:read',
+    'item_types:manage'
+  ]
+};
+
+/**
+ * Check whether a user's role grants a permission
+ * @param {object} [user] - User with a role (anonymous users have no permissions)
+ * @param {string} permission - e.g. 'items:update:any'
+ * @returns {boolean}
+ */
+function hasPermission(user, permission) {
+  if (!user || !user.role) {
+    return false;
+  }
+
+  return (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+}
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission
+};
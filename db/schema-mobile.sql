@@ -16,6 +16,27 @@ CREATE TABLE IF NOT EXISTS users (
 -- Create index on email for faster lookups
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 
+-- Email verification (NULL until the user confirms their address)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+
+-- Role-based access control (permission matrix lives in config/permissions.js)
+-- Promote the first admin manually: UPDATE users SET role = 'admin' WHERE email = '...';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'user'
+    CHECK (role IN ('user', 'moderator', 'admin'));
+
+-- Accounts created through social login (OIDC) have no password
+ALTER TABLE users ALTER COLUMN password_hash DROP NOT NULL;
+
+-- Per-account brute-force protection
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+
+-- TOTP two-factor authentication (secret is pending until totp_enabled_at is set)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+
 -- Update items table to include user ownership
 ALTER TABLE items ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE CASCADE;
 ALTER TABLE items ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}'::jsonb;
@@ -23,6 +44,71 @@ ALTER TABLE items ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}'::jsonb;
 -- Create index on user_id for faster queries
 CREATE INDEX IF NOT EXISTS idx_items_user_id ON items(user_id);
 
+-- Full-text search over name, description and selected metadata fields
+-- (weights: name A, description B, metadata category/notes/tags C)
+ALTER TABLE items ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', COALESCE(name, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(description, '')), 'B') ||
+        setweight(to_tsvector('english',
+            COALESCE(metadata->>'category', '') || ' ' ||
+            COALESCE(metadata->>'notes', '') || ' ' ||
+            COALESCE(metadata->>'tags', '')), 'C')
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_items_search_vector ON items USING GIN (search_vector);
+
+-- Metadata filters on listings (containment @> and path exists @?)
+CREATE INDEX IF NOT EXISTS idx_items_metadata ON items USING GIN (metadata jsonb_path_ops);
+
+-- Item visibility: private (owner only), shared (owner + item_shares), public (anyone can read)
+ALTER TABLE items ADD COLUMN IF NOT EXISTS visibility VARCHAR(10) NOT NULL DEFAULT 'private'
+    CHECK (visibility IN ('private', 'shared', 'public'));
+
+-- Items without an owner predate accounts and were readable by everyone
+UPDATE items SET visibility = 'public' WHERE user_id IS NULL AND visibility = 'private';
+
+CREATE INDEX IF NOT EXISTS idx_items_visibility ON items(visibility);
+
+-- Soft delete: trashed items are hidden from listings and purged after TRASH_RETENTION_DAYS
+ALTER TABLE items ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_items_deleted_at ON items(deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Delta sync: version counts changes to an item (optimistic concurrency),
+-- change_xid is the transaction that last wrote it (sync tokens, see lib/item-sync.js)
+ALTER TABLE items ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE items ADD COLUMN IF NOT EXISTS change_xid xid8 NOT NULL DEFAULT pg_current_xact_id();
+
+CREATE INDEX IF NOT EXISTS idx_items_user_change ON items(user_id, change_xid, id);
+
+CREATE OR REPLACE FUNCTION track_item_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.change_xid = pg_current_xact_id();
+    IF TG_OP = 'UPDATE' THEN
+        NEW.version = OLD.version + 1;
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS track_items_changes ON items;
+CREATE TRIGGER track_items_changes
+    BEFORE INSERT OR UPDATE ON items
+    FOR EACH ROW
+    EXECUTE FUNCTION track_item_changes();
+
+-- External IDs let imports upsert items from another system (unique per user, trashed items included)
+ALTER TABLE items ADD COLUMN IF NOT EXISTS external_id VARCHAR(255);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_items_user_external_id ON items(user_id, external_id) WHERE external_id IS NOT NULL;
+
+-- Keyset pagination indexes for item listings (sort value + id tiebreaker)
+CREATE INDEX IF NOT EXISTS idx_items_user_created ON items(user_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_items_user_updated ON items(user_id, updated_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_items_user_name ON items(user_id, name, id);
+
 -- Create sessions table (for token blacklisting/refresh)
 CREATE TABLE IF NOT EXISTS sessions (
     id SERIAL PRIMARY KEY,
@@ -37,6 +123,24 @@ CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
 CREATE INDEX IF NOT EXISTS idx_sessions_token_jti ON sessions(token_jti);
 CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions(expires_at);
 
+-- Refresh token rotation: every refresh creates a new row in the same family
+-- and marks the previous one as rotated (reuse of a rotated token revokes the family)
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS family_id UUID;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS refresh_token_hash VARCHAR(64) UNIQUE;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS rotated_at TIMESTAMP;
+
+-- Sessions created before rotation support get their own family
+UPDATE sessions SET family_id = gen_random_uuid() WHERE family_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_sessions_family_id ON sessions(family_id);
+
+-- Device details for the active sessions list
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS device_name VARCHAR(255);
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS user_agent TEXT;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS ip_address VARCHAR(45);
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS signed_in_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP;
+
 -- Create uploads table (for file tracking)
 CREATE TABLE IF NOT EXISTS uploads (
     id SERIAL PRIMARY KEY,
@@ -52,6 +156,300 @@ CREATE TABLE IF NOT EXISTS uploads (
 CREATE INDEX IF NOT EXISTS idx_uploads_user_id ON uploads(user_id);
 CREATE INDEX IF NOT EXISTS idx_uploads_item_id ON uploads(item_id);
 
+-- Create user tokens table (single-use, hashed: email verification, password reset)
+CREATE TABLE IF NOT EXISTS user_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(50) NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_tokens_user_purpose ON user_tokens(user_id, purpose);
+
+-- Create 2FA recovery codes table (hashed, one-time use)
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user_id ON user_recovery_codes(user_id);
+
+-- Create user identities table (social login: Google, Apple, ...)
+CREATE TABLE IF NOT EXISTS user_identities (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    provider VARCHAR(50) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP,
+    UNIQUE (provider, subject)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_identities_user_id ON user_identities(user_id);
+
+-- Create account lockout events table (lock/unlock history)
+CREATE TABLE IF NOT EXISTS account_lockout_events (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    event VARCHAR(20) NOT NULL,
+    ip_address VARCHAR(45),
+    details JSONB DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_lockout_events_user_id ON account_lockout_events(user_id, created_at DESC);
+
+-- Create API keys table (personal access tokens, stored hashed)
+CREATE TABLE IF NOT EXISTS api_keys (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    prefix VARCHAR(16) NOT NULL,
+    key_hash VARCHAR(64) UNIQUE NOT NULL,
+    scopes TEXT[] NOT NULL DEFAULT '{}',
+    expires_at TIMESTAMP,
+    last_used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id);
+
+-- Create WebAuthn credentials table (passkeys)
+CREATE TABLE IF NOT EXISTS webauthn_credentials (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    credential_id TEXT UNIQUE NOT NULL,
+    public_key BYTEA NOT NULL,
+    counter BIGINT NOT NULL DEFAULT 0,
+    transports TEXT[],
+    device_type VARCHAR(32),
+    backed_up BOOLEAN DEFAULT false,
+    name VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webauthn_credentials_user_id ON webauthn_credentials(user_id);
+
+-- Create WebAuthn challenges table (single-use, short-lived)
+CREATE TABLE IF NOT EXISTS webauthn_challenges (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    challenge TEXT NOT NULL,
+    purpose VARCHAR(20) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create JWT signing keys table (RS256/ES256 key rotation, see npm run keys:rotate)
+CREATE TABLE IF NOT EXISTS jwt_signing_keys (
+    kid VARCHAR(64) PRIMARY KEY,
+    algorithm VARCHAR(10) NOT NULL,
+    private_key TEXT NOT NULL,
+    public_jwk JSONB NOT NULL,
+    activates_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    retires_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create item shares table (collaborators with viewer or editor access)
+CREATE TABLE IF NOT EXISTS item_shares (
+    item_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(10) NOT NULL CHECK (role IN ('viewer', 'editor')),
+    invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (item_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_item_shares_user_id ON item_shares(user_id);
+
+-- Create item revisions table (change history for undo/restore)
+-- snapshot holds name/description/metadata after the change, changes the field-level diff
+CREATE TABLE IF NOT EXISTS item_revisions (
+    id BIGSERIAL PRIMARY KEY,
+    item_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+    revision INTEGER NOT NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    action VARCHAR(20) NOT NULL,
+    changes JSONB NOT NULL DEFAULT '{}',
+    snapshot JSONB NOT NULL,
+    restored_from INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (item_id, revision)
+);
+
+-- Create tags table (per-user, names unique case-insensitively)
+CREATE TABLE IF NOT EXISTS tags (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(50) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_user_name ON tags(user_id, LOWER(name));
+
+-- Create item tags table (a user's tags on items they can read)
+CREATE TABLE IF NOT EXISTS item_tags (
+    item_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+    tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (item_id, tag_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_item_tags_tag_id ON item_tags(tag_id);
+
+-- Create collections table (ordered, per-user groups of items)
+CREATE TABLE IF NOT EXISTS collections (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_collections_user_id ON collections(user_id);
+
+-- Create collection items table
+CREATE TABLE IF NOT EXISTS collection_items (
+    collection_id INTEGER NOT NULL REFERENCES collections(id) ON DELETE CASCADE,
+    item_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (collection_id, item_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_collection_items_item_id ON collection_items(item_id);
+
+-- Create item tombstones table (permanently deleted items, for delta sync)
+-- Trashed items still exist and sync as tombstones themselves; rows here
+-- cover items purged from the trash so offline clients learn about them too
+CREATE TABLE IF NOT EXISTS item_tombstones (
+    item_id INTEGER PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    deleted_at TIMESTAMP NOT NULL,
+    change_xid xid8 NOT NULL DEFAULT pg_current_xact_id()
+);
+
+CREATE INDEX IF NOT EXISTS idx_item_tombstones_user_change ON item_tombstones(user_id, change_xid, item_id);
+
+-- Items removed along with their owner's account need no tombstone
+CREATE OR REPLACE FUNCTION record_item_tombstone()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.user_id IS NOT NULL AND EXISTS (SELECT 1 FROM users WHERE id = OLD.user_id) THEN
+        INSERT INTO item_tombstones (item_id, user_id, deleted_at)
+        VALUES (OLD.id, OLD.user_id, COALESCE(OLD.deleted_at, CURRENT_TIMESTAMP))
+        ON CONFLICT (item_id) DO NOTHING;
+    END IF;
+    RETURN OLD;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS record_items_tombstone ON items;
+CREATE TRIGGER record_items_tombstone
+    AFTER DELETE ON items
+    FOR EACH ROW
+    EXECUTE FUNCTION record_item_tombstone();
+
+-- Create item types table (registry of JSON Schemas for item metadata)
+CREATE TABLE IF NOT EXISTS item_types (
+    key VARCHAR(50) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    current_version INTEGER NOT NULL DEFAULT 1,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create item type versions table (a registered schema is never changed)
+CREATE TABLE IF NOT EXISTS item_type_versions (
+    item_type VARCHAR(50) NOT NULL REFERENCES item_types(key) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    schema JSONB NOT NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (item_type, version)
+);
+
+-- Typed items: item_type_version is the schema version the metadata was last validated against
+ALTER TABLE items ADD COLUMN IF NOT EXISTS item_type VARCHAR(50) REFERENCES item_types(key);
+ALTER TABLE items ADD COLUMN IF NOT EXISTS item_type_version INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_items_item_type ON items(item_type) WHERE item_type IS NOT NULL;
+
+-- Create item comments table (discussion on items; readers can comment)
+CREATE TABLE IF NOT EXISTS item_comments (
+    id SERIAL PRIMARY KEY,
+    item_id INTEGER NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    body TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    edited_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_item_comments_item ON item_comments(item_id, created_at, id);
+
+-- Create item comment edits table (the text a comment had before each edit)
+CREATE TABLE IF NOT EXISTS item_comment_edits (
+    id SERIAL PRIMARY KEY,
+    comment_id INTEGER NOT NULL REFERENCES item_comments(id) ON DELETE CASCADE,
+    body TEXT NOT NULL,
+    edited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_item_comment_edits_comment ON item_comment_edits(comment_id, id);
+
+-- Create item comment mentions table (users @mentioned in a comment)
+CREATE TABLE IF NOT EXISTS item_comment_mentions (
+    comment_id INTEGER NOT NULL REFERENCES item_comments(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    PRIMARY KEY (comment_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_item_comment_mentions_user ON item_comment_mentions(user_id);
+
+-- Create audit events table (append-only security log)
+-- user_id/actor_id have no foreign keys so history survives account deletion
+CREATE TABLE IF NOT EXISTS audit_events (
+    id BIGSERIAL PRIMARY KEY,
+    user_id INTEGER,
+    actor_id INTEGER,
+    event_type VARCHAR(64) NOT NULL,
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    details JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_user_id ON audit_events(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_events_actor_id ON audit_events(actor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_events_event_type ON audit_events(event_type, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_events_created_at ON audit_events(created_at DESC);
+
+-- Audit events can only be inserted, never changed or removed
+CREATE OR REPLACE FUNCTION prevent_audit_events_modification()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_events_append_only ON audit_events;
+CREATE TRIGGER audit_events_append_only
+    BEFORE UPDATE OR DELETE ON audit_events
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_audit_events_modification();
+
 -- Update trigger for users table
 CREATE OR REPLACE FUNCTION update_users_updated_at_column()
 RETURNS TRIGGER AS $$
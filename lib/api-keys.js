@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+const { hashToken, API_KEY_PREFIX } = require('../middleware/auth');
+
+// Scopes an API key can be granted (enforced per route with requireScope)
+const API_KEY_SCOPES = [
+  'items:read',
+  'items:write',
+  'profile:read',
+  'profile:write'
+];
+
+/**
+ * Generate new API key
+ * @returns {object} - { key, prefix, hash } - key is shown to the user once,
+ *                     prefix identifies it in listings, hash is stored
+ */
+function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  return {
+    key,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+    hash: hashToken(key)
+  };
+}
+
+/**
+ * Return scopes that are not recognized
+ */
+function findInvalidScopes(scopes) {
+  return scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  generateApiKey,
+  findInvalidScopes
+};
@@ -0,0 +1,36 @@
+const { pool } = require('../config/database');
+
+/**
+ * Record security audit event (append-only)
+ * Failures are logged but never fail the request that triggered the event.
+ * @param {string} eventType - e.g. 'auth.login', 'password.changed'
+ * @param {object} options
+ * @param {object} [options.req] - Request the event came from (IP, user agent, actor)
+ * @param {number} [options.userId] - Account the event is about (defaults to the actor)
+ * @param {number} [options.actorId] - Who performed it (defaults to req.user)
+ * @param {object} [options.details] - Event-specific data (never secrets)
+ */
+async function recordAuditEvent(eventType, { req, userId, actorId, details = {} } = {}) {
+  const actor = actorId !== undefined ? actorId : (req && req.user ? req.user.id : null);
+
+  try {
+    await pool.query(
+      `INSERT INTO audit_events (user_id, actor_id, event_type, ip_address, user_agent, details)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [
+        userId !== undefined ? userId : actor,
+        actor,
+        eventType,
+        req ? req.ip || null : null,
+        req ? (req.get('user-agent') || '').slice(0, 500) || null : null,
+        details
+      ]
+    );
+  } catch (error) {
+    console.error('Audit event error:', error);
+  }
+}
+
+module.exports = {
+  recordAuditEvent
+};
@@ -0,0 +1,108 @@
+// Minimal RFC 4180 CSV reading and writing (quoted fields, "" escapes,
+// line breaks inside quotes, CRLF or LF row endings)
+
+/**
+ * Format one CSV field; objects are written as JSON, dates as ISO 8601
+ * Text that a spreadsheet would treat as a formula is prefixed with '.
+ */
+function formatCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  // Spreadsheets run text starting with these as a formula (CSV injection)
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format a CSV row (with trailing CRLF)
+ * @param {Array} values
+ */
+function formatCsvRow(values) {
+  return `${values.map(formatCsvField).join(',')}\r\n`;
+}
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text
+ * @returns {object} - { rows } or { error }
+ */
+function parseCsv(text) {
+  const input = String(text).replace(/^﻿/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+
+      if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+
+      i++;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+    } else {
+      field += char;
+    }
+
+    i++;
+  }
+
+  if (quoted) {
+    return { error: `Unterminated quoted field in row ${rows.length + 1}` };
+  }
+
+  // Last row without a trailing line break
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return { rows: rows.filter(fields => fields.length > 1 || fields[0] !== '') };
+}
+
+module.exports = {
+  formatCsvRow,
+  parseCsv
+};
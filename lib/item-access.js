@@ -0,0 +1,164 @@
+const { pool } = require('../config/database');
+const { hasPermission } = require('../config/permissions');
+const { ITEM_COLUMNS, itemTagsColumn } = require('./item-list');
+
+// Visibility levels:
+//   private - owner only (collaborator grants are kept but inactive)
+//   shared  - owner and users in item_shares
+//   public  - anyone can read; collaborators keep their grants
+const VISIBILITIES = ['private', 'shared', 'public'];
+const SHARE_ROLES = ['viewer', 'editor'];
+
+// Columns anonymous callers see for public items
+const PUBLIC_ITEM_COLUMNS = 'id, name, description, created_at';
+
+// What each access level may do; role permissions (config/permissions.js)
+// extend this to other users' items. collaboratorsOnly actions are not open to
+// everyone who can read a public item, only to its owner and collaborators.
+const ACTIONS = {
+  read: { levels: ['owner', 'editor', 'viewer'], permission: 'items:read:any' },
+  collaborate: { levels: ['owner', 'editor', 'viewer'], permission: 'items:read:any', collaboratorsOnly: true },
+  update: { levels: ['owner', 'editor'], permission: 'items:update:any' },
+  delete: { levels: ['owner'], permission: 'items:delete:any' },
+  share: { levels: ['owner'], permission: 'items:update:any' }
+};
+
+/**
+ * Item as anonymous callers see it (PUBLIC_ITEM_COLUMNS only)
+ * @param {object} item - Full item row
+ */
+function toPublicItem(item) {
+  return Object.fromEntries(PUBLIC_ITEM_COLUMNS.split(', ').map(column => [column, item[column]]));
+}
+
+/**
+ * Access level a user has on an item row
+ * @param {object} item - Must include user_id, visibility and share_role
+ * @param {object} [user] - Authenticated user (undefined for anonymous callers)
+ * @returns {string|null} - 'owner', 'editor', 'viewer' or null
+ */
+function getAccessLevel(item, user) {
+  if (user && item.user_id === user.id) {
+    return 'owner';
+  }
+
+  if (user && item.share_role && item.visibility !== 'private') {
+    return item.share_role;
+  }
+
+  if (item.visibility === 'public') {
+    return 'viewer';
+  }
+
+  return null;
+}
+
+/**
+ * Whether an access level (or the user's role) allows an action
+ * @param {string|null} access - From getAccessLevel()
+ * @param {object} [user] - Authenticated user
+ * @param {string} action - 'read', 'update', 'delete' or 'share'
+ */
+function canPerform(access, user, action) {
+  const rule = ACTIONS[action];
+  return rule.levels.includes(access) || hasPermission(user, rule.permission);
+}
+
+/**
+ * Load item and check whether the user may perform an action on it
+ * @param {number|string} itemId
+ * @param {object} [user] - Authenticated user
+ * @param {string} action - 'read', 'collaborate', 'update', 'delete' or 'share'
+ * @param {object} [options]
+ * @param {object} [options.client] - Query client (e.g. inside withTransaction)
+ * @param {boolean} [options.includeDeleted] - Also find items in the trash
+ * @param {boolean} [options.lock] - Lock the item row (SELECT ... FOR UPDATE) until the transaction ends
+ * @returns {Promise<object>} - { item, access, allowed, collaborator } (item is null if not found);
+ *   collaborator is true for the owner and users the item is shared with, not
+ *   for everyone who can read it because it is public
+ */
+async function authorizeItem(itemId, user, action, { client = pool, includeDeleted = false, lock = false } = {}) {
+  const id = parseInt(itemId, 10);
+  if (!Number.isInteger(id)) {
+    return { item: null, access: null, allowed: false, collaborator: false };
+  }
+
+  const result = await client.query(
+    `SELECT ${ITEM_COLUMNS},
+            (SELECT role FROM item_shares WHERE item_id = items.id AND user_id = $2) AS share_role
+     FROM items WHERE id = $1${includeDeleted ? '' : ' AND deleted_at IS NULL'}${lock ? ' FOR UPDATE' : ''}`,
+    [id, user ? user.id : null]
+  );
+
+  if (result.rows.length === 0) {
+    return { item: null, access: null, allowed: false, collaborator: false };
+  }
+
+  const item = result.rows[0];
+  const access = getAccessLevel(item, user);
+  const collaborator = access === 'owner' || Boolean(user && item.share_role && item.visibility !== 'private');
+  const rule = ACTIONS[action];
+
+  delete item.share_role;
+
+  return {
+    item,
+    access,
+    allowed: canPerform(access, user, action)
+      && (!rule.collaboratorsOnly || collaborator || hasPermission(user, rule.permission)),
+    collaborator
+  };
+}
+
+/**
+ * Base query scope for listings/search: items the caller can read
+ * Signed-in users get their own items plus items shared with them;
+ * anonymous callers get public items.
+ * @returns {object} - { columns, conditions, values } for listItems()/searchItems()
+ */
+function readableItemsScope(user) {
+  if (!user) {
+    return {
+      columns: PUBLIC_ITEM_COLUMNS,
+      conditions: ["visibility = 'public'"]
+    };
+  }
+
+  return {
+    columns: `${ITEM_COLUMNS}, ${itemTagsColumn('$1')}`,
+    conditions: [
+      `(user_id = $1 OR (visibility <> 'private' AND id IN (SELECT item_id FROM item_shares WHERE user_id = $1)))`
+    ],
+    values: [user.id]
+  };
+}
+
+/**
+ * Subset of item IDs the user can read (not trashed)
+ * Used by bulk operations to reject items the caller cannot see.
+ * @param {object} user - Authenticated user
+ * @param {number[]} itemIds
+ * @param {object} [client] - Query client
+ * @returns {Promise<number[]>}
+ */
+async function filterReadableItemIds(user, itemIds, client = pool) {
+  const { conditions, values } = readableItemsScope(user);
+
+  const result = await client.query(
+    `SELECT id FROM items
+     WHERE id = ANY($${values.length + 1}) AND deleted_at IS NULL AND ${conditions.join(' AND ')}`,
+    [...values, itemIds]
+  );
+
+  return result.rows.map(row => row.id);
+}
+
+module.exports = {
+  VISIBILITIES,
+  SHARE_ROLES,
+  canPerform,
+  toPublicItem,
+  authorizeItem,
+  readableItemsScope,
+  filterReadableItemIds
+};
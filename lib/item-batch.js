@@ -0,0 +1,156 @@
+const { withTransaction } = require('../config/database');
+const { createItem, updateItem, trashItem } = require('./item-mutations');
+
+const MAX_BATCH_SIZE = parseInt(process.env.MAX_ITEM_BATCH_SIZE, 10) || 100;
+const BATCH_OPS = ['create', 'update', 'delete'];
+
+const SUCCESS_STATUS = { create: 201, update: 200, delete: 200 };
+
+/**
+ * Validate the operations of a POST /api/items/batch request
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateBatch(operations) {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return 'operations must be a non-empty array';
+  }
+
+  for (const [index, operation] of operations.entries()) {
+    if (!operation || !BATCH_OPS.includes(operation.op)) {
+      return `operations[${index}].op must be one of: ${BATCH_OPS.join(', ')}`;
+    }
+
+    if (operation.op !== 'create' && operation.id === undefined) {
+      return `operations[${index}].id is required for ${operation.op}`;
+    }
+
+    if (operation.op !== 'delete' && (typeof operation.data !== 'object' || operation.data === null)) {
+      return `operations[${index}].data is required for ${operation.op}`;
+    }
+
+    if (operation.version !== undefined && !Number.isInteger(operation.version)) {
+      return `operations[${index}].version must be an integer`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Run one operation with the same checks as the single-item endpoints
+ */
+function applyOperation(client, user, { op, id, data, version, if_match: ifMatch }) {
+  const options = { expectedVersion: version, ifMatch };
+
+  if (op === 'create') {
+    return createItem(client, user, data);
+  }
+
+  if (op === 'update') {
+    return updateItem(client, user, id, data, options);
+  }
+
+  return trashItem(client, user, id, options);
+}
+
+/**
+ * Run one operation, turning a database error into a failed result
+ * The caller rolls back to the operation's savepoint either way.
+ */
+async function tryOperation(client, user, operation) {
+  try {
+    return await applyOperation(client, user, operation);
+  } catch (error) {
+    console.error('Batch operation error:', error);
+    return { status: 500, error: 'Operation failed', code: 'SERVER_ERROR' };
+  }
+}
+
+/**
+ * Run a batch of item operations in a single transaction, in order
+ * Normally each operation succeeds or fails on its own (failed ones, including
+ * ones that hit a database error, are rolled back to a savepoint). With atomic, the first failure rolls back the whole
+ * batch and the remaining operations are not attempted.
+ * @param {object} user - Authenticated user
+ * @param {object[]} operations - Validated with validateBatch()
+ * @param {object} [options]
+ * @param {boolean} [options.atomic] - All-or-nothing mode
+ * @returns {Promise<object>} - { results, failedIndex } (failedIndex is null unless an atomic batch failed)
+ */
+async function runBatch(user, operations, { atomic = false } = {}) {
+  return withTransaction(async (client) => {
+    const results = [];
+    let failedIndex = null;
+
+    await client.query('SAVEPOINT item_batch');
+
+    for (const [index, operation] of operations.entries()) {
+      await client.query('SAVEPOINT item_batch_op');
+
+      const result = await tryOperation(client, user, operation);
+
+      if (result.error) {
+        await client.query('ROLLBACK TO SAVEPOINT item_batch_op');
+
+        results.push({
+          index,
+          op: operation.op,
+          id: operation.id,
+          success: false,
+          status: result.status,
+          error: result.error,
+          code: result.code,
+          ...(result.errors && { errors: result.errors }),
+          ...(result.item && { item: result.item })
+        });
+
+        if (atomic) {
+          failedIndex = index;
+          break;
+        }
+
+        continue;
+      }
+
+      await client.query('RELEASE SAVEPOINT item_batch_op');
+
+      results.push({
+        index,
+        op: operation.op,
+        id: result.item.id,
+        success: true,
+        status: SUCCESS_STATUS[operation.op],
+        item: result.item
+      });
+    }
+
+    if (failedIndex === null) {
+      return { results, failedIndex };
+    }
+
+    await client.query('ROLLBACK TO SAVEPOINT item_batch');
+
+    // Report what the rollback undid and what never ran
+    const rolledBack = results.map(result => (result.success
+      ? { index: result.index, op: result.op, id: result.id, success: false, status: 424, error: 'Rolled back', code: 'ROLLED_BACK' }
+      : result));
+
+    const notAttempted = operations.slice(failedIndex + 1).map((operation, offset) => ({
+      index: failedIndex + 1 + offset,
+      op: operation.op,
+      id: operation.id,
+      success: false,
+      status: 424,
+      error: 'Not attempted',
+      code: 'NOT_ATTEMPTED'
+    }));
+
+    return { results: [...rolledBack, ...notAttempted], failedIndex };
+  });
+}
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  validateBatch,
+  runBatch
+};
@@ -0,0 +1,227 @@
+const { pool } = require('../config/database');
+const { sendMail } = require('../config/mailer');
+
+// Comments are listed oldest first with opaque keyset cursors (created_at + id).
+// A mention is @ followed by an email address (@sam@example.com). It resolves
+// to that user only if they are the item's owner or a collaborator on it;
+// otherwise it stays plain text, so mentions cannot be used to look up accounts.
+const DEFAULT_COMMENT_LIMIT = 50;
+const MAX_COMMENT_LIMIT = 100;
+const MAX_COMMENT_LENGTH = 10000;
+const MAX_MENTIONS = 20;
+
+const MENTION_PATTERN = /(^|[^\w@.])@([A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)+)/g;
+
+// Author names and avatars only; see toPublicComment() for anonymous callers
+const COMMENT_COLUMNS = `c.id, c.item_id, c.body, c.created_at, c.edited_at,
+  c.user_id AS author_id, u.name AS author_name, u.avatar_url AS author_avatar_url,
+  (SELECT COUNT(*)::int FROM item_comment_edits e WHERE e.comment_id = c.id) AS edit_count,
+  (SELECT COALESCE(json_agg(json_build_object('user_id', mu.id, 'name', mu.name) ORDER BY mu.id), '[]')
+   FROM item_comment_mentions m JOIN users mu ON mu.id = m.user_id
+   WHERE m.comment_id = c.id) AS mentions`;
+
+/**
+ * Comment as anonymous callers see it: without user ids
+ * @param {object} comment - From listComments() or getComment()
+ */
+function toPublicComment({ author_id: authorId, mentions, ...comment }) {
+  return { ...comment, mentions: mentions.map(({ name }) => ({ name })) };
+}
+
+/**
+ * Validate comment text
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateCommentBody(body) {
+  if (typeof body !== 'string' || body.trim() === '') {
+    return 'body is required';
+  }
+
+  if (body.length > MAX_COMMENT_LENGTH) {
+    return `body must be at most ${MAX_COMMENT_LENGTH} characters`;
+  }
+
+  return null;
+}
+
+/**
+ * Parse and validate comment listing query parameters (limit, cursor)
+ * @returns {object} - { params } or { error, code }
+ */
+function parseCommentListParams(query) {
+  let limit = DEFAULT_COMMENT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_COMMENT_LIMIT) {
+      return { error: `limit must be an integer between 1 and ${MAX_COMMENT_LIMIT}`, code: 'VALIDATION_ERROR' };
+    }
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    try {
+      cursor = JSON.parse(Buffer.from(String(query.cursor), 'base64url').toString('utf8'));
+    } catch (err) {
+      cursor = null;
+    }
+
+    if (!cursor || typeof cursor.v !== 'string' || Number.isNaN(Date.parse(cursor.v)) || !Number.isInteger(cursor.id)) {
+      return { error: 'Invalid cursor', code: 'INVALID_CURSOR' };
+    }
+  }
+
+  return { params: { limit, cursor } };
+}
+
+/**
+ * Page of an item's comments, oldest first
+ * @param {number} itemId
+ * @param {object} params - From parseCommentListParams()
+ * @returns {Promise<object>} - { comments, next_cursor, has_more }
+ */
+async function listComments(itemId, { limit, cursor }) {
+  const values = [itemId];
+  let after = '';
+
+  if (cursor) {
+    values.push(cursor.v, cursor.id);
+    after = 'AND (c.created_at, c.id) > ($2::timestamp, $3)';
+  }
+
+  values.push(limit + 1);
+
+  const result = await pool.query(
+    `SELECT ${COMMENT_COLUMNS}, c.created_at::text AS cursor_value
+     FROM item_comments c
+     LEFT JOIN users u ON u.id = c.user_id
+     WHERE c.item_id = $1 ${after}
+     ORDER BY c.created_at, c.id
+     LIMIT $${values.length}`,
+    values
+  );
+
+  const hasMore = result.rows.length > limit;
+  const rows = result.rows.slice(0, limit);
+  const last = rows[rows.length - 1];
+
+  return {
+    comments: rows.map(({ cursor_value, ...comment }) => comment),
+    next_cursor: hasMore
+      ? Buffer.from(JSON.stringify({ v: last.cursor_value, id: last.id })).toString('base64url')
+      : null,
+    has_more: hasMore
+  };
+}
+
+/**
+ * Load a comment on an item
+ * @param {object} [client] - Query client (e.g. inside withTransaction)
+ * @param {object} [options]
+ * @param {boolean} [options.lock] - Lock the comment row until the transaction ends
+ * @returns {Promise<object|null>}
+ */
+async function getComment(client, itemId, commentId, { lock = false } = {}) {
+  const id = parseInt(commentId, 10);
+  if (!Number.isInteger(id)) {
+    return null;
+  }
+
+  // FOR UPDATE cannot apply to the nullable side of an outer join
+  const result = await client.query(
+    `SELECT ${COMMENT_COLUMNS}
+     FROM item_comments c
+     LEFT JOIN users u ON u.id = c.user_id
+     WHERE c.id = $1 AND c.item_id = $2${lock ? ' FOR UPDATE OF c' : ''}`,
+    [id, itemId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Users mentioned in comment text who are the item's owner or collaborators
+ * Readers of a public item who are neither are not resolved.
+ * @param {object} client - Query client
+ * @param {object} item - From authorizeItem()
+ * @param {string} body
+ * @returns {Promise<object[]>} - [{ id, name, email }]
+ */
+async function resolveMentions(client, item, body) {
+  const emails = [...new Set([...body.matchAll(MENTION_PATTERN)].map(match => match[2].toLowerCase()))]
+    .slice(0, MAX_MENTIONS);
+
+  if (emails.length === 0) {
+    return [];
+  }
+
+  const result = await client.query(
+    `SELECT u.id, u.name, u.email
+     FROM users u
+     WHERE u.email = ANY($1)
+       AND (u.id = $3
+            OR ($2 <> 'private' AND EXISTS (SELECT 1 FROM item_shares s WHERE s.item_id = $4 AND s.user_id = u.id)))`,
+    [emails, item.visibility, item.user_id, item.id]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Replace a comment's mentions
+ * @returns {Promise<number[]>} - Ids of users who were not mentioned before
+ */
+async function saveMentions(client, commentId, users) {
+  const previous = await client.query(
+    'DELETE FROM item_comment_mentions WHERE comment_id = $1 RETURNING user_id',
+    [commentId]
+  );
+
+  if (users.length > 0) {
+    await client.query(
+      `INSERT INTO item_comment_mentions (comment_id, user_id)
+       SELECT $1, UNNEST($2::int[])`,
+      [commentId, users.map(user => user.id)]
+    );
+  }
+
+  const before = new Set(previous.rows.map(row => row.user_id));
+  return users.filter(user => !before.has(user.id)).map(user => user.id);
+}
+
+/**
+ * Email users newly mentioned in a comment (delivery failures are only logged)
+ * @param {object} author - Authenticated user
+ * @param {object} item
+ * @param {object[]} users - From resolveMentions(), filtered to the ones to notify
+ */
+async function notifyMentions(author, item, users) {
+  const appUrl = process.env.APP_URL || 'http://localhost:8080';
+  const authorName = author.name || author.email;
+
+  for (const user of users) {
+    if (user.id === author.id) {
+      continue;
+    }
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: `${authorName} mentioned you on "${item.name}"`,
+        text: `${authorName} mentioned you in a comment on "${item.name}".\n\n${appUrl}/items/${item.id}`
+      });
+    } catch (mailError) {
+      console.error('Mention notification email error:', mailError);
+    }
+  }
+}
+
+module.exports = {
+  toPublicComment,
+  validateCommentBody,
+  parseCommentListParams,
+  listComments,
+  getComment,
+  resolveMentions,
+  saveMentions,
+  notifyMentions
+};
@@ -0,0 +1,57 @@
+// Item ETags change whenever the item's version does. The caller's access
+// level is part of the tag because GET /api/items/:id returns it, so a
+// changed share role also invalidates cached copies. Anonymous callers get
+// fewer columns than signed-in readers with the same access level, so their
+// tags differ too.
+
+/**
+ * Strong ETag for an item as seen by a caller
+ * @param {object} item - Must include id and version
+ * @param {string|null} access - From authorizeItem()
+ * @param {object} [options]
+ * @param {boolean} [options.anonymous] - The caller is not signed in (public columns only)
+ */
+function itemETag(item, access, { anonymous = false } = {}) {
+  return `"${item.id}-${item.version}-${anonymous ? 'public' : access || 'none'}"`;
+}
+
+/**
+ * Split an If-Match/If-None-Match header into entity tags
+ */
+function parseETagList(header) {
+  return String(header).split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+/**
+ * Whether If-Match allows a write (strong comparison; absent header allows it)
+ * @param {string} [header] - If-Match request header
+ * @param {string} etag - Current ETag of the item
+ */
+function ifMatchSatisfied(header, etag) {
+  if (header === undefined) {
+    return true;
+  }
+
+  const tags = parseETagList(header);
+  return tags.includes('*') || tags.includes(etag);
+}
+
+/**
+ * Whether If-None-Match matches, i.e. the client's copy is current (weak comparison)
+ * @param {string} [header] - If-None-Match request header
+ * @param {string} etag - Current ETag of the item
+ */
+function ifNoneMatchMatches(header, etag) {
+  if (header === undefined) {
+    return false;
+  }
+
+  const tags = parseETagList(header).map(tag => tag.replace(/^W\//, ''));
+  return tags.includes('*') || tags.includes(etag);
+}
+
+module.exports = {
+  itemETag,
+  ifMatchSatisfied,
+  ifNoneMatchMatches
+};
@@ -0,0 +1,130 @@
+const { once } = require('events');
+const { withTransaction } = require('../config/database');
+const { formatCsvRow } = require('./csv');
+
+// Exports read the user's items through a server-side cursor (DECLARE/FETCH)
+// and write each batch to the response before fetching the next, so memory
+// use does not grow with the number of items.
+const EXPORT_BATCH_SIZE = 500;
+
+const EXPORT_COLUMNS = [
+  'id', 'external_id', 'name', 'description', 'visibility',
+  'item_type', 'item_type_version', 'metadata', 'version', 'created_at', 'updated_at'
+];
+
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    start: () => formatCsvRow(EXPORT_COLUMNS),
+    row: item => formatCsvRow(EXPORT_COLUMNS.map(column => item[column])),
+    end: () => ''
+  },
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    start: () => '[',
+    row: (item, index) => `${index === 0 ? '\n' : ',\n'}${JSON.stringify(item)}`,
+    end: count => (count === 0 ? ']\n' : '\n]\n')
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    start: () => '',
+    row: item => `${JSON.stringify(item)}\n`,
+    end: () => ''
+  }
+};
+
+/**
+ * Error for a response the client closed before the export finished
+ */
+function responseClosedError() {
+  return Object.assign(new Error('Export response was closed'), { code: 'EXPORT_CLOSED' });
+}
+
+/**
+ * Write a chunk, waiting for the response to drain when its buffer is full
+ * Rejects once the response is closed (the client went away), so the export
+ * transaction ends instead of waiting for a drain that never comes.
+ */
+async function writeChunk(res, chunk) {
+  if (res.destroyed || res.writableEnded) {
+    throw responseClosedError();
+  }
+
+  if (chunk === '' || res.write(chunk)) {
+    return;
+  }
+
+  // 'close' may already have fired, e.g. when the client left during a FETCH
+  if (res.destroyed) {
+    throw responseClosedError();
+  }
+
+  const closed = new AbortController();
+  const abort = () => closed.abort();
+  res.once('close', abort);
+
+  try {
+    await once(res, 'drain', { signal: closed.signal });
+  } catch (err) {
+    throw closed.signal.aborted ? responseClosedError() : err;
+  } finally {
+    res.off('close', abort);
+  }
+}
+
+/**
+ * Stream the user's items (not in the trash) to the response
+ * Headers are sent once the first batch has been read, so a failure before
+ * that can still be answered with an error response; later failures can only
+ * abort the response.
+ * @param {object} res - Express response
+ * @param {number} userId
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {Promise<number>} - Number of items written
+ */
+async function streamItemExport(res, userId, format) {
+  const { contentType, start, row, end } = EXPORT_FORMATS[format];
+
+  return withTransaction(async (client) => {
+    await client.query(
+      `DECLARE item_export NO SCROLL CURSOR FOR
+       SELECT ${EXPORT_COLUMNS.join(', ')}
+       FROM items
+       WHERE user_id = $1 AND deleted_at IS NULL
+       ORDER BY id`,
+      [userId]
+    );
+
+    let count = 0;
+    let batch = await client.query(`FETCH ${EXPORT_BATCH_SIZE} FROM item_export`);
+
+    res.status(200);
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="items-${new Date().toISOString().slice(0, 10)}.${format}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    await writeChunk(res, start());
+
+    for (;;) {
+      // Rejects (ending the transaction) once the client has gone away
+      await writeChunk(res, batch.rows.map(item => row(item, count++)).join(''));
+
+      if (batch.rows.length < EXPORT_BATCH_SIZE) {
+        break;
+      }
+
+      batch = await client.query(`FETCH ${EXPORT_BATCH_SIZE} FROM item_export`);
+    }
+
+    res.end(end(count));
+
+    return count;
+  });
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  streamItemExport
+};
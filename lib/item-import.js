@@ -0,0 +1,447 @@
+const { isDeepStrictEqual } = require('util');
+const { withTransaction } = require('../config/database');
+const { parseCsv } = require('./csv');
+const { createItem, updateItem } = require('./item-mutations');
+
+// Imports map each source row (CSV record, JSON array element or NDJSON line)
+// onto item fields, then create the item or, when a row's external_id matches
+// one of the user's items, update it. Rows succeed or fail on their own; a dry
+// run does all the same work and rolls it back.
+const IMPORT_FORMATS = ['csv', 'json', 'ndjson'];
+const MAX_IMPORT_ROWS = parseInt(process.env.MAX_IMPORT_ROWS, 10) || 5000;
+const PREVIEW_ROWS = 20;
+
+const IMPORT_FIELDS = ['external_id', 'name', 'description', 'visibility', 'item_type', 'metadata'];
+const METADATA_FIELD_PATTERN = /^metadata(\.[A-Za-z_][A-Za-z0-9_]*)+$/;
+
+// auto keeps a value as it is, except that text which is valid JSON is parsed ("3" -> 3)
+const VALUE_TYPES = ['string', 'number', 'boolean', 'json', 'auto'];
+
+// What an empty value does: skip keeps the current value, clear removes it
+const EMPTY_VALUES = ['skip', 'clear'];
+const CLEARABLE_FIELDS = ['description', 'item_type'];
+
+const BOOLEAN_VALUES = { true: true, false: false, yes: true, no: false, 1: true, 0: false };
+
+/**
+ * Source rows of an import
+ * Rows are numbered as the user sees them: CSV records counting the header as
+ * row 1, JSON array positions from 1, NDJSON line numbers.
+ * @returns {object} - { records: [{ row, values } or { row, error }] } or { error }
+ */
+function parseImportRecords(format, data) {
+  if (format === 'json') {
+    const rows = typeof data === 'string' ? parseJson(data) : data;
+    if (!Array.isArray(rows)) {
+      return { error: 'data must be a JSON array of objects' };
+    }
+
+    return {
+      records: rows.map((values, index) => (isPlainObject(values)
+        ? { row: index + 1, values }
+        : { row: index + 1, error: 'Row is not an object' }))
+    };
+  }
+
+  if (typeof data !== 'string') {
+    return { error: `data must be ${format.toUpperCase()} text` };
+  }
+
+  if (format === 'ndjson') {
+    const records = [];
+
+    data.split(/\r?\n/).forEach((line, index) => {
+      if (line.trim() === '') {
+        return;
+      }
+
+      const values = parseJson(line);
+      records.push(isPlainObject(values)
+        ? { row: index + 1, values }
+        : { row: index + 1, error: 'Line is not a JSON object' });
+    });
+
+    return { records };
+  }
+
+  const { rows, error } = parseCsv(data);
+  if (error) {
+    return { error };
+  }
+
+  if (rows.length === 0) {
+    return { records: [] };
+  }
+
+  const [header, ...body] = rows;
+  const columns = header.map(column => column.trim());
+
+  const duplicate = columns.find((column, index) => columns.indexOf(column) !== index);
+  if (duplicate !== undefined) {
+    return { error: `Duplicate column "${duplicate}" in CSV header` };
+  }
+
+  return {
+    columns,
+    records: body.map((fields, index) => (fields.length === columns.length
+      ? { row: index + 2, values: Object.fromEntries(columns.map((column, i) => [column, fields[i]])) }
+      : { row: index + 2, error: `Expected ${columns.length} fields, found ${fields.length}` }))
+  };
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return undefined;
+  }
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Validate a column mapping
+ * { "<source column>": "<field>" | { field, type, empty } } where field is one
+ * of IMPORT_FIELDS or a metadata path such as metadata.status
+ * @returns {object} - { mapping: [{ source, field, path, type, empty }] } or { error }
+ */
+function parseImportMapping(mapping) {
+  if (!isPlainObject(mapping) || Object.keys(mapping).length === 0) {
+    return { error: 'mapping must be an object of source column -> field' };
+  }
+
+  const entries = [];
+
+  for (const [source, target] of Object.entries(mapping)) {
+    const { field, type, empty } = typeof target === 'string' ? { field: target } : (target || {});
+
+    if (typeof field !== 'string' || !(IMPORT_FIELDS.includes(field) || METADATA_FIELD_PATTERN.test(field))) {
+      return { error: `mapping["${source}"] must be one of ${IMPORT_FIELDS.join(', ')} or metadata.<key>` };
+    }
+
+    if (type !== undefined && !VALUE_TYPES.includes(type)) {
+      return { error: `mapping["${source}"].type must be one of: ${VALUE_TYPES.join(', ')}` };
+    }
+
+    if (empty !== undefined && !EMPTY_VALUES.includes(empty)) {
+      return { error: `mapping["${source}"].empty must be one of: ${EMPTY_VALUES.join(', ')}` };
+    }
+
+    if (empty === 'clear' && !(CLEARABLE_FIELDS.includes(field) || field.startsWith('metadata.'))) {
+      return { error: `mapping["${source}"] cannot clear ${field}; only ${CLEARABLE_FIELDS.join(', ')} and metadata.<key> can be cleared` };
+    }
+
+    entries.push(mappingEntry(source, field, type, empty));
+  }
+
+  const fields = entries.map(entry => entry.field);
+  const duplicate = fields.find((field, index) => fields.indexOf(field) !== index);
+  if (duplicate) {
+    return { error: `More than one column is mapped to ${duplicate}` };
+  }
+
+  return { mapping: entries };
+}
+
+function mappingEntry(source, field, type, empty) {
+  const path = field.startsWith('metadata.') ? field.split('.').slice(1) : null;
+  const defaultType = field === 'metadata' ? 'json' : path ? 'auto' : 'string';
+
+  return { source, field, path, type: type || defaultType, empty: empty || 'skip' };
+}
+
+/**
+ * Without a mapping, columns named like item fields (or metadata.<key>) map to themselves
+ */
+function defaultMapping(values) {
+  return Object.keys(values)
+    .filter(column => IMPORT_FIELDS.includes(column) || METADATA_FIELD_PATTERN.test(column))
+    .map(column => mappingEntry(column, column));
+}
+
+/**
+ * Validate an import request body
+ * @returns {object} - { records, mapping, dryRun } or { error, code }
+ */
+function parseImportRequest({ format, data, mapping, dry_run: dryRun }) {
+  if (!IMPORT_FORMATS.includes(format)) {
+    return { error: `format must be one of: ${IMPORT_FORMATS.join(', ')}`, code: 'VALIDATION_ERROR' };
+  }
+
+  let entries = null;
+  if (mapping !== undefined) {
+    const parsed = parseImportMapping(mapping);
+    if (parsed.error) {
+      return { error: parsed.error, code: 'INVALID_MAPPING' };
+    }
+    entries = parsed.mapping;
+  }
+
+  const { records, columns, error } = parseImportRecords(format, data);
+  if (error) {
+    return { error, code: 'INVALID_IMPORT' };
+  }
+
+  if (records.length === 0) {
+    return { error: 'No rows to import', code: 'INVALID_IMPORT' };
+  }
+
+  if (records.length > MAX_IMPORT_ROWS) {
+    return { error: `At most ${MAX_IMPORT_ROWS} rows per import`, code: 'IMPORT_TOO_LARGE' };
+  }
+
+  // A CSV header tells us up front whether a mapped column is missing
+  const missing = columns && entries && entries.find(entry => !columns.includes(entry.source));
+  if (missing) {
+    return { error: `Mapped column "${missing.source}" is not in the CSV header`, code: 'INVALID_MAPPING' };
+  }
+
+  return { records, mapping: entries, dryRun: dryRun === true };
+}
+
+/**
+ * Convert a source value to a mapping entry's type
+ * @returns {object} - { value } or { error }
+ */
+function convertValue(value, type) {
+  const text = typeof value === 'string' ? value.trim() : value;
+
+  switch (type) {
+    case 'string':
+      return { value: typeof value === 'object' ? JSON.stringify(value) : String(value) };
+    case 'number': {
+      const number = typeof text === 'number' ? text : Number(text);
+      return typeof text === 'boolean' || text === '' || !Number.isFinite(number) ? { error: 'is not a number' } : { value: number };
+    }
+    case 'boolean': {
+      if (typeof text === 'boolean') {
+        return { value: text };
+      }
+      const key = String(text).toLowerCase();
+      return Object.prototype.hasOwnProperty.call(BOOLEAN_VALUES, key) ? { value: BOOLEAN_VALUES[key] } : { error: 'is not a boolean' };
+    }
+    case 'json': {
+      const parsed = typeof text === 'string' ? parseJson(text) : text;
+      return parsed === undefined ? { error: 'is not valid JSON' } : { value: parsed };
+    }
+    default: {
+      const parsed = typeof text === 'string' ? parseJson(text) : undefined;
+      return { value: parsed === undefined ? value : parsed };
+    }
+  }
+}
+
+/**
+ * Item fields for one source row
+ * Missing values are left out, so an update keeps the current value. Empty
+ * values are too, unless the mapping clears them; null clears description,
+ * item_type and metadata keys, and is a row error for other fields.
+ * @returns {object} - { fields, metadataValues: [[path, value]] } or { error, errors }
+ */
+function mapRecord(values, mapping) {
+  const fields = {};
+  const metadataValues = [];
+  const errors = [];
+
+  for (const { source, field, path, type, empty } of mapping || defaultMapping(values)) {
+    const raw = values[source];
+    if (raw === undefined || (raw === '' && empty !== 'clear')) {
+      continue;
+    }
+
+    const { value, error } = raw === null || raw === '' ? { value: null } : convertValue(raw, type);
+    if (error) {
+      errors.push({ field, column: source, message: `Column "${source}" ${error}` });
+      continue;
+    }
+
+    // Same rule as "empty": "clear" in the mapping
+    if (value === null && !path && !CLEARABLE_FIELDS.includes(field)) {
+      errors.push({ field, column: source, message: `Column "${source}" cannot clear ${field}` });
+      continue;
+    }
+
+    if (path) {
+      metadataValues.push([path, value]);
+    } else if (field === 'metadata' && !isPlainObject(value)) {
+      errors.push({ field, column: source, message: `Column "${source}" must be a JSON object` });
+    } else {
+      fields[field] = value;
+    }
+  }
+
+  if (errors.length > 0) {
+    return { error: 'Row has invalid values', errors };
+  }
+
+  return { fields, metadataValues };
+}
+
+/**
+ * Copy of metadata with values set at nested paths (null removes the key)
+ */
+function setMetadataValues(metadata, metadataValues) {
+  const result = structuredClone(metadata || {});
+
+  for (const [path, value] of metadataValues) {
+    const parents = path.slice(0, -1);
+    const key = path[path.length - 1];
+
+    if (value === null) {
+      const target = parents.reduce((node, segment) => (isPlainObject(node) ? node[segment] : undefined), result);
+      if (isPlainObject(target)) {
+        delete target[key];
+      }
+      continue;
+    }
+
+    let target = result;
+    for (const segment of parents) {
+      if (!isPlainObject(target[segment])) {
+        target[segment] = {};
+      }
+      target = target[segment];
+    }
+    target[key] = value;
+  }
+
+  return result;
+}
+
+/**
+ * Create or update the item for one mapped row
+ * @returns {Promise<object>} - { action, item } or a failed mutation result
+ */
+async function importRow(client, user, { fields, metadataValues }) {
+  const { external_id: externalId, ...changes } = fields;
+
+  let existing = null;
+  if (externalId) {
+    const result = await client.query(
+      `SELECT id, name, description, visibility, item_type, metadata, deleted_at
+       FROM items WHERE user_id = $1 AND external_id = $2`,
+      [user.id, externalId]
+    );
+    existing = result.rows[0];
+  }
+
+  if (!existing) {
+    const result = await createItem(client, user, {
+      ...fields,
+      metadata: setMetadataValues(fields.metadata, metadataValues)
+    });
+
+    return result.error ? result : { action: 'create', item: result.item };
+  }
+
+  if (metadataValues.length > 0) {
+    changes.metadata = setMetadataValues(changes.metadata !== undefined ? changes.metadata : existing.metadata, metadataValues);
+  }
+
+  // Re-importing the same data should not create new versions and revisions
+  for (const [field, value] of Object.entries(changes)) {
+    if (isDeepStrictEqual(existing[field], value)) {
+      delete changes[field];
+    }
+  }
+
+  if (Object.keys(changes).length === 0 && !existing.deleted_at) {
+    return { action: 'unchanged', item: { id: existing.id } };
+  }
+
+  const result = await updateItem(client, user, existing.id, changes, { includeDeleted: true });
+
+  return result.error ? result : { action: 'update', item: result.item };
+}
+
+/**
+ * Import one row, turning a database error into a failed result
+ * The caller rolls back to the row's savepoint either way.
+ */
+async function tryImportRow(client, user, mapped) {
+  try {
+    return await importRow(client, user, mapped);
+  } catch (error) {
+    console.error('Import row error:', error);
+    return { error: 'Row could not be saved', code: 'SERVER_ERROR' };
+  }
+}
+
+/**
+ * Import rows in a single transaction, each row behind its own savepoint
+ * @param {object} user - Authenticated user
+ * @param {object[]} records - From parseImportRequest()
+ * @param {object[]|null} mapping - From parseImportRequest(); null maps columns by name
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Roll everything back and return a preview
+ * @returns {Promise<object>} - { total, created, updated, unchanged, failed, errors, preview? }
+ */
+async function runImport(user, records, mapping, { dryRun = false } = {}) {
+  return withTransaction(async (client) => {
+    const counts = { create: 0, update: 0, unchanged: 0 };
+    const errors = [];
+    const preview = [];
+
+    await client.query('SAVEPOINT item_import');
+
+    for (const record of records) {
+      if (record.error) {
+        errors.push({ row: record.row, error: record.error, code: 'INVALID_ROW' });
+        continue;
+      }
+
+      const mapped = mapRecord(record.values, mapping);
+      if (mapped.error) {
+        errors.push({ row: record.row, error: mapped.error, code: 'VALIDATION_ERROR', errors: mapped.errors });
+        continue;
+      }
+
+      await client.query('SAVEPOINT item_import_row');
+
+      const result = await tryImportRow(client, user, mapped);
+
+      if (result.error) {
+        await client.query('ROLLBACK TO SAVEPOINT item_import_row');
+        errors.push({
+          row: record.row,
+          error: result.error,
+          code: result.code,
+          ...(result.errors && { errors: result.errors })
+        });
+        continue;
+      }
+
+      await client.query('RELEASE SAVEPOINT item_import_row');
+      counts[result.action]++;
+
+      if (dryRun && preview.length < PREVIEW_ROWS) {
+        // Ids of new items are only assigned by the real import
+        const item = result.action === 'create' ? { ...result.item, id: null } : result.item;
+        preview.push({ row: record.row, action: result.action, item });
+      }
+    }
+
+    if (dryRun) {
+      await client.query('ROLLBACK TO SAVEPOINT item_import');
+    }
+
+    return {
+      total: records.length,
+      created: counts.create,
+      updated: counts.update,
+      unchanged: counts.unchanged,
+      failed: errors.length,
+      errors,
+      ...(dryRun && { preview })
+    };
+  });
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  MAX_IMPORT_ROWS,
+  parseImportRequest,
+  runImport
+};
@@ -0,0 +1,237 @@
+const { pool } = require('../config/database');
+const { parseMetadataFilters, metadataFilterConditions } = require('./item-metadata-filters');
+
+// Item listings are paginated with opaque keyset cursors: the cursor holds the
+// sort value and id of the last row, so pages stay stable while items change.
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Columns returned for an item (excludes internal columns such as search_vector and change_xid)
+const ITEM_COLUMNS = 'id, external_id, name, description, user_id, visibility, item_type, item_type_version, metadata, version, created_at, updated_at, deleted_at';
+
+/**
+ * Column with the caller's tag names for each item
+ * @param {string} userParam - Placeholder holding the caller's user id, e.g. '$1'
+ */
+function itemTagsColumn(userParam) {
+  return `(SELECT COALESCE(array_agg(t.name ORDER BY t.name), '{}')
+           FROM item_tags it JOIN tags t ON t.id = it.tag_id
+           WHERE it.item_id = items.id AND t.user_id = ${userParam}) AS tags`;
+}
+
+// Allow-listed sort fields (prefix with - for descending) and their SQL type
+const SORT_FIELDS = {
+  created_at: 'timestamp',
+  updated_at: 'timestamp',
+  name: 'text'
+};
+const DEFAULT_SORT = '-created_at';
+
+// The trash can also be sorted by deletion time (newest first by default)
+const TRASH_SORT_FIELDS = { ...SORT_FIELDS, deleted_at: 'timestamp' };
+const TRASH_DEFAULT_SORT = '-deleted_at';
+
+// Date range filters: query parameter -> [column, operator]
+const DATE_FILTERS = {
+  created_after: ['created_at', '>='],
+  created_before: ['created_at', '<'],
+  updated_after: ['updated_at', '>='],
+  updated_before: ['updated_at', '<']
+};
+
+/**
+ * Encode cursor for the row after which the next page starts
+ */
+function encodeCursor(sort, row) {
+  return Buffer.from(JSON.stringify({ s: sort, v: row.cursor_value, id: row.id })).toString('base64url');
+}
+
+/**
+ * Decode cursor (only valid for the sort order it was issued for)
+ * @returns {object|null} - { value, id } or null if malformed
+ */
+function decodeCursor(cursor, sort) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+    if (decoded.s !== sort || typeof decoded.v !== 'string' || !Number.isInteger(decoded.id)) {
+      return null;
+    }
+
+    return { value: decoded.v, id: decoded.id };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Validate listing query parameters (limit, sort, cursor, filters)
+ * @param {object} query - req.query
+ * @param {object} [options]
+ * @param {boolean} [options.trash] - Parameters for the trash listing
+ * @param {number} [options.userId] - Caller, required for tag/collection/metadata filters
+ * @returns {object} - { params } or { error, code } for a 400 response
+ */
+function parseItemListParams(query, { trash = false, userId = null } = {}) {
+  const sortFields = trash ? TRASH_SORT_FIELDS : SORT_FIELDS;
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return { error: `limit must be an integer between 1 and ${MAX_LIMIT}`, code: 'VALIDATION_ERROR' };
+    }
+  }
+
+  const sort = query.sort ? String(query.sort) : (trash ? TRASH_DEFAULT_SORT : DEFAULT_SORT);
+  const field = sort.replace(/^-/, '');
+  if (!Object.prototype.hasOwnProperty.call(sortFields, field)) {
+    const allowed = Object.keys(sortFields).flatMap(name => [name, `-${name}`]);
+    return { error: `sort must be one of: ${allowed.join(', ')}`, code: 'VALIDATION_ERROR' };
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor, sort);
+    if (!cursor) {
+      return { error: 'Invalid cursor for this sort order', code: 'INVALID_CURSOR' };
+    }
+  }
+
+  const dateFilters = [];
+  for (const [param, [column, operator]] of Object.entries(DATE_FILTERS)) {
+    if (query[param] === undefined) {
+      continue;
+    }
+
+    const date = new Date(String(query[param]));
+    if (Number.isNaN(date.getTime())) {
+      return { error: `${param} must be an ISO 8601 date`, code: 'VALIDATION_ERROR' };
+    }
+
+    dateFilters.push({ column, operator, date });
+  }
+
+  // tag=work,urgent matches items carrying all of the caller's listed tags
+  const tags = query.tag
+    ? [...new Set(String(query.tag).split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))]
+    : [];
+
+  let collectionId = null;
+  if (query.collection !== undefined) {
+    collectionId = Number(query.collection);
+    if (!Number.isInteger(collectionId) || collectionId < 1) {
+      return { error: 'collection must be a collection ID', code: 'VALIDATION_ERROR' };
+    }
+  }
+
+  const { filters: metadataFilters, error, code } = parseMetadataFilters(query);
+  if (error) {
+    return { error, code };
+  }
+
+  // Signed-out callers do not see metadata, so they cannot filter on it either
+  if ((tags.length > 0 || collectionId || metadataFilters.length > 0) && !userId) {
+    return { error: 'Sign in to filter by tag, collection or metadata', code: 'VALIDATION_ERROR' };
+  }
+
+  return {
+    params: {
+      limit,
+      sort,
+      field,
+      direction: sort.startsWith('-') ? 'DESC' : 'ASC',
+      cursor,
+      name: query.name ? String(query.name) : null,
+      dateFilters,
+      tags,
+      collectionId,
+      metadataFilters,
+      userId
+    }
+  };
+}
+
+/**
+ * Fetch one page of items
+ * @param {object} scope - Base query for the listing
+ * @param {string} [scope.columns] - Columns to return (default ITEM_COLUMNS)
+ * @param {string[]} [scope.conditions] - SQL conditions using $1..$n
+ * @param {Array} [scope.values] - Values for those placeholders
+ * @param {boolean} [scope.trashed] - List the trash instead of active items
+ * @param {object} params - From parseItemListParams()
+ * @returns {Promise<object>} - { items, next_cursor, has_more }
+ */
+async function listItems({ columns = ITEM_COLUMNS, conditions = [], values = [], trashed = false }, params) {
+  const where = [...conditions, trashed ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL'];
+  const queryValues = [...values];
+  let paramCount = queryValues.length + 1;
+
+  if (params.name) {
+    where.push(`name ILIKE $${paramCount++}`);
+    queryValues.push(`%${params.name.replace(/[\\%_]/g, '\\$&')}%`);
+  }
+
+  for (const { column, operator, date } of params.dateFilters) {
+    where.push(`${column} ${operator} $${paramCount++}`);
+    queryValues.push(date);
+  }
+
+  if (params.tags.length > 0) {
+    where.push(
+      `id IN (SELECT it.item_id FROM item_tags it JOIN tags t ON t.id = it.tag_id
+              WHERE t.user_id = $${paramCount++} AND LOWER(t.name) = ANY($${paramCount++})
+              GROUP BY it.item_id HAVING COUNT(*) = $${paramCount++})`
+    );
+    queryValues.push(params.userId, params.tags, params.tags.length);
+  }
+
+  if (params.collectionId) {
+    where.push(
+      `id IN (SELECT ci.item_id FROM collection_items ci JOIN collections c ON c.id = ci.collection_id
+              WHERE c.id = $${paramCount++} AND c.user_id = $${paramCount++})`
+    );
+    queryValues.push(params.collectionId, params.userId);
+  }
+
+  where.push(...metadataFilterConditions(params.metadataFilters, (value) => {
+    queryValues.push(value);
+    return `$${paramCount++}`;
+  }));
+
+  const { field, direction, cursor } = params;
+
+  if (cursor) {
+    const comparison = direction === 'DESC' ? '<' : '>';
+    where.push(`(${field}, id) ${comparison} ($${paramCount++}::${TRASH_SORT_FIELDS[field]}, $${paramCount++})`);
+    queryValues.push(cursor.value, cursor.id);
+  }
+
+  queryValues.push(params.limit + 1);
+
+  // Sort value is read back as text so timestamps keep microsecond precision
+  const result = await pool.query(
+    `SELECT ${columns}, ${field}::text AS cursor_value, id AS cursor_id
+     FROM items WHERE ${where.join(' AND ')}
+     ORDER BY ${field} ${direction}, id ${direction}
+     LIMIT $${paramCount}`,
+    queryValues
+  );
+
+  const hasMore = result.rows.length > params.limit;
+  const rows = result.rows.slice(0, params.limit);
+  const last = rows[rows.length - 1];
+
+  return {
+    items: rows.map(({ cursor_value, cursor_id, ...item }) => item),
+    next_cursor: hasMore ? encodeCursor(params.sort, { cursor_value: last.cursor_value, id: last.cursor_id }) : null,
+    has_more: hasMore
+  };
+}
+
+module.exports = {
+  ITEM_COLUMNS,
+  itemTagsColumn,
+  parseItemListParams,
+  listItems
+};
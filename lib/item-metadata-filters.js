@@ -0,0 +1,173 @@
+// Metadata filters for item listings, e.g.
+//   metadata.status=done                 equal (also metadata.status[eq]=done)
+//   metadata.status!=done                not equal ([ne])
+//   metadata.priority>=3, >3, <=3, <3    comparisons ([gte], [gt], [lte], [lt])
+//   metadata.status[in]=todo,doing       any of
+//   metadata.due[exists]=true            field present (or absent with false)
+// Only allow-listed paths can be filtered. Every value is passed as a query
+// parameter; equality and exists use operators the GIN index on metadata supports.
+const PATH_SEGMENT_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const DEFAULT_FILTER_PATHS = 'status,priority,category,due';
+
+const FILTER_PATHS = (process.env.METADATA_FILTER_PATHS || DEFAULT_FILTER_PATHS)
+  .split(',')
+  .map(path => path.trim())
+  .filter(path => path && path.split('.').every(segment => PATH_SEGMENT_PATTERN.test(segment)));
+
+const MAX_METADATA_FILTERS = 10;
+const MAX_IN_VALUES = 50;
+
+const OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'exists'];
+
+// Query strings split on the first "=", so metadata.priority>=3 arrives as
+// "metadata.priority>" = "3" and metadata.priority>3 as "metadata.priority>3" = ""
+const SUFFIX_OPERATORS = { '>': 'gte', '<': 'lte', '!': 'ne' };
+const INLINE_OPERATORS = { '>': 'gt', '<': 'lt' };
+
+const COMPARISONS = { gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Split a metadata.* query parameter into [path, operator, value] filters
+ */
+function expandParam(key, raw) {
+  const path = key.slice('metadata.'.length);
+
+  // Bracket form: metadata.priority[gte]=3
+  if (raw && typeof raw === 'object' && !Array.isArray(raw)) {
+    return Object.entries(raw).map(([operator, value]) => [path, operator, value]);
+  }
+
+  const inline = /^([^<>]+)([<>])(.+)$/.exec(path);
+  if (inline && raw === '') {
+    return [[inline[1], INLINE_OPERATORS[inline[2]], inline[3]]];
+  }
+
+  const suffix = SUFFIX_OPERATORS[path.slice(-1)];
+  if (suffix) {
+    return [[path.slice(0, -1), suffix, raw]];
+  }
+
+  // metadata.status=todo&metadata.status=doing means either
+  return [[path, Array.isArray(raw) ? 'in' : 'eq', raw]];
+}
+
+/**
+ * Parse metadata.* filters from listing query parameters
+ * @param {object} query - req.query
+ * @returns {object} - { filters } or { error, code }
+ */
+function parseMetadataFilters(query) {
+  const filters = [];
+
+  for (const [key, raw] of Object.entries(query)) {
+    if (!key.startsWith('metadata.')) {
+      continue;
+    }
+
+    for (const [path, operator, value] of expandParam(key, raw)) {
+      if (!FILTER_PATHS.includes(path)) {
+        return {
+          error: `metadata.${path} cannot be filtered (allowed: ${FILTER_PATHS.map(allowed => `metadata.${allowed}`).join(', ')})`,
+          code: 'VALIDATION_ERROR'
+        };
+      }
+
+      if (!OPERATORS.includes(operator)) {
+        return { error: `Filter operator must be one of: ${OPERATORS.join(', ')}`, code: 'VALIDATION_ERROR' };
+      }
+
+      const values = (Array.isArray(value) ? value : [value]).flatMap(part => String(part).split(','));
+
+      if (operator === 'in' && (values.length === 0 || values.length > MAX_IN_VALUES)) {
+        return { error: `metadata.${path}[in] takes 1-${MAX_IN_VALUES} values`, code: 'VALIDATION_ERROR' };
+      }
+
+      if (operator === 'exists' && !['true', 'false'].includes(String(value))) {
+        return { error: `metadata.${path}[exists] must be true or false`, code: 'VALIDATION_ERROR' };
+      }
+
+      if (operator !== 'in' && values.length !== 1) {
+        return { error: `metadata.${path}[${operator}] takes a single value`, code: 'VALIDATION_ERROR' };
+      }
+
+      filters.push({ path: path.split('.'), operator, values });
+    }
+  }
+
+  if (filters.length > MAX_METADATA_FILTERS) {
+    return { error: `At most ${MAX_METADATA_FILTERS} metadata filters`, code: 'VALIDATION_ERROR' };
+  }
+
+  return { filters };
+}
+
+/**
+ * JSON values a query string value may stand for ("3" matches 3 and "3")
+ */
+function equalityCandidates(value) {
+  const candidates = [value];
+
+  if (NUMBER_PATTERN.test(value)) {
+    candidates.push(Number(value));
+  }
+
+  if (value === 'true' || value === 'false') {
+    candidates.push(value === 'true');
+  }
+
+  if (value === 'null') {
+    candidates.push(null);
+  }
+
+  return candidates;
+}
+
+/**
+ * {"a": {"b": value}} for path ["a", "b"]
+ */
+function nestValue(path, value) {
+  return path.reduceRight((inner, segment) => ({ [segment]: inner }), value);
+}
+
+/**
+ * SQL/JSON path for an allow-listed path, e.g. $."address"."city"
+ */
+function jsonPath(path) {
+  return `$${path.map(segment => `."${segment}"`).join('')}`;
+}
+
+/**
+ * SQL conditions for parsed metadata filters
+ * @param {object[]} filters - From parseMetadataFilters()
+ * @param {Function} addParam - Adds a query value and returns its placeholder ($n)
+ * @returns {string[]}
+ */
+function metadataFilterConditions(filters, addParam) {
+  return filters.map(({ path, operator, values }) => {
+    if (operator === 'exists') {
+      const exists = `metadata @? ${addParam(jsonPath(path))}::jsonpath`;
+      return values[0] === 'true' ? exists : `NOT (${exists})`;
+    }
+
+    if (COMPARISONS[operator]) {
+      const value = NUMBER_PATTERN.test(values[0]) ? Number(values[0]) : values[0];
+      return `jsonb_path_exists(metadata, ${addParam(`${jsonPath(path)} ? (@ ${COMPARISONS[operator]} $v)`)}::jsonpath, ` +
+        `${addParam(JSON.stringify({ v: value }))}::jsonb)`;
+    }
+
+    // eq, ne and in use containment (metadata @> '{"status": "done"}')
+    const matches = values
+      .flatMap(equalityCandidates)
+      .map(candidate => `metadata @> ${addParam(JSON.stringify(nestValue(path, candidate)))}::jsonb`);
+
+    return operator === 'ne' ? `NOT (${matches.join(' OR ')})` : `(${matches.join(' OR ')})`;
+  });
+}
+
+module.exports = {
+  FILTER_PATHS,
+  parseMetadataFilters,
+  metadataFilterConditions
+};
@@ -0,0 +1,297 @@
+const { ITEM_COLUMNS } = require('./item-list');
+const { VISIBILITIES, canPerform, authorizeItem } = require('./item-access');
+const { recordRevision } = require('./item-revisions');
+const { TRASH_RETENTION_DAYS } = require('./item-purge');
+const { itemETag, ifMatchSatisfied } = require('./item-etag');
+const { validateItemMetadata } = require('./item-types');
+
+// Item writes shared by the item routes and sync. Each function runs on a
+// transaction client and returns { item, access } on success or
+// { status, error, code } (plus the current item for conflicts and
+// field-level errors for invalid metadata) on failure.
+
+const MAX_NAME_LENGTH = 255;
+const MAX_EXTERNAL_ID_LENGTH = 255;
+
+const INVALID_VISIBILITY = {
+  status: 400,
+  error: `Visibility must be one of: ${VISIBILITIES.join(', ')}`,
+  code: 'INVALID_VISIBILITY'
+};
+
+/**
+ * Check an item name (items.name is VARCHAR(255) NOT NULL)
+ * @returns {object|null} - Failure result, or null if valid
+ */
+function checkName(name) {
+  if (!name) {
+    return { status: 400, error: 'Name is required', code: 'MISSING_NAME' };
+  }
+
+  if (typeof name !== 'string' || name.length > MAX_NAME_LENGTH) {
+    return { status: 400, error: `Name must be a string of at most ${MAX_NAME_LENGTH} characters`, code: 'VALIDATION_ERROR' };
+  }
+
+  return null;
+}
+
+/**
+ * Check an item loaded with authorizeItem({ lock: true }) before changing it
+ * @returns {object|null} - Failure result, or null if the change may go ahead
+ */
+function checkWritable(item, access, allowed, { expectedVersion, ifMatch, deniedMessage }) {
+  if (!item) {
+    return { status: 404, error: 'Item not found', code: 'NOT_FOUND' };
+  }
+
+  if (!allowed) {
+    return { status: 403, error: deniedMessage, code: 'FORBIDDEN' };
+  }
+
+  if (expectedVersion !== undefined && item.version !== expectedVersion) {
+    return { status: 409, error: 'Item was changed by someone else', code: 'VERSION_CONFLICT', item };
+  }
+
+  if (!ifMatchSatisfied(ifMatch, itemETag(item, access))) {
+    return { status: 412, error: 'Item was changed by someone else', code: 'PRECONDITION_FAILED', item, access };
+  }
+
+  return null;
+}
+
+/**
+ * Create item owned by the user
+ * @param {object} client - Transaction client
+ * @param {object} user - Authenticated user
+ * @param {object} fields - { name, description, metadata, visibility, item_type, external_id }
+ */
+async function createItem(client, user, { name, description, metadata, visibility, item_type: itemType, external_id: externalId }) {
+  const invalidName = checkName(name);
+  if (invalidName) {
+    return invalidName;
+  }
+
+  if (externalId !== undefined && externalId !== null &&
+      (typeof externalId !== 'string' || externalId.length === 0 || externalId.length > MAX_EXTERNAL_ID_LENGTH)) {
+    return { status: 400, error: `external_id must be a string of 1-${MAX_EXTERNAL_ID_LENGTH} characters`, code: 'VALIDATION_ERROR' };
+  }
+
+  if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+    return INVALID_VISIBILITY;
+  }
+
+  let itemTypeVersion = null;
+  if (itemType !== undefined && itemType !== null) {
+    const check = await validateItemMetadata(client, itemType, metadata || {});
+    if (check.error) {
+      return check;
+    }
+    itemTypeVersion = check.version;
+  }
+
+  const result = await client.query(
+    `INSERT INTO items (name, description, user_id, metadata, visibility, item_type, item_type_version, external_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (user_id, external_id) WHERE external_id IS NOT NULL DO NOTHING
+     RETURNING ${ITEM_COLUMNS}`,
+    [name, description || null, user.id, metadata || {}, visibility || 'private', itemTypeVersion ? itemType : null, itemTypeVersion, externalId || null]
+  );
+
+  if (result.rows.length === 0) {
+    return { status: 409, error: 'You already have an item with this external_id', code: 'EXTERNAL_ID_EXISTS' };
+  }
+
+  await recordRevision(client, null, result.rows[0], { userId: user.id, action: 'create' });
+
+  return { item: result.rows[0], access: 'owner' };
+}
+
+/**
+ * Update item fields (owner or editor; visibility is owner only)
+ * @param {object} client - Transaction client
+ * @param {object} user - Authenticated user
+ * @param {number|string} itemId
+ * @param {object} fields - Any of { name, description, metadata, visibility, item_type } (item_type null removes the type)
+ * @param {object} [options]
+ * @param {number} [options.expectedVersion] - Fail with VERSION_CONFLICT unless the item is at this version
+ * @param {string} [options.ifMatch] - If-Match header; fail with PRECONDITION_FAILED unless it matches the item's ETag
+ * @param {boolean} [options.includeDeleted] - Report trashed items as ITEM_DELETED instead of NOT_FOUND
+ * @param {string} [options.action] - Revision action to record ('update' or 'restore')
+ * @param {number} [options.restoredFrom] - Revision number a restore came from
+ * @returns {Promise<object>} - { item, access, revision } on success (revision is null if no tracked field changed)
+ */
+async function updateItem(client, user, itemId, { name, description, metadata, visibility, item_type: itemType }, { expectedVersion, ifMatch, includeDeleted = false, action = 'update', restoredFrom = null } = {}) {
+  const { item, access, allowed } = await authorizeItem(itemId, user, 'update', { client, includeDeleted, lock: true });
+
+  const failure = checkWritable(item, access, allowed, {
+    expectedVersion,
+    ifMatch,
+    deniedMessage: 'Access denied - you cannot edit this item'
+  });
+  if (failure) {
+    return failure;
+  }
+
+  if (item.deleted_at) {
+    return { status: 409, error: 'Item is in the trash', code: 'ITEM_DELETED', item };
+  }
+
+  if (name !== undefined) {
+    const invalidName = checkName(name);
+    if (invalidName) {
+      return invalidName;
+    }
+  }
+
+  if (visibility !== undefined) {
+    if (!VISIBILITIES.includes(visibility)) {
+      return INVALID_VISIBILITY;
+    }
+
+    // Only the owner decides who can see the item
+    if (!canPerform(access, user, 'share')) {
+      return { status: 403, error: 'Only the owner can change visibility', code: 'FORBIDDEN' };
+    }
+  }
+
+  // Build update query dynamically
+  const updates = [];
+  const values = [];
+  let paramCount = 1;
+
+  if (name !== undefined) {
+    updates.push(`name = $${paramCount++}`);
+    values.push(name);
+  }
+
+  if (description !== undefined) {
+    updates.push(`description = $${paramCount++}`);
+    values.push(description);
+  }
+
+  if (metadata !== undefined) {
+    updates.push(`metadata = $${paramCount++}`);
+    values.push(metadata);
+  }
+
+  if (visibility !== undefined) {
+    updates.push(`visibility = $${paramCount++}`);
+    values.push(visibility);
+  }
+
+  // Typed items are validated against the latest schema version whenever their
+  // metadata or type changes; other edits leave older metadata as it is
+  const effectiveType = itemType !== undefined ? itemType : item.item_type;
+
+  if (itemType === null) {
+    updates.push('item_type = NULL', 'item_type_version = NULL');
+  } else if (effectiveType && (itemType !== undefined || metadata !== undefined)) {
+    const check = await validateItemMetadata(client, effectiveType, metadata !== undefined ? metadata : item.metadata);
+    if (check.error) {
+      return check;
+    }
+
+    updates.push(`item_type = $${paramCount++}`, `item_type_version = $${paramCount++}`);
+    values.push(effectiveType, check.version);
+  }
+
+  if (updates.length === 0) {
+    return { status: 400, error: 'No fields to update', code: 'NO_UPDATES' };
+  }
+
+  values.push(item.id);
+
+  const result = await client.query(
+    `UPDATE items SET ${updates.join(', ')}, updated_at = NOW() WHERE id = $${paramCount} RETURNING ${ITEM_COLUMNS}`,
+    values
+  );
+
+  // Every change is recorded in item_revisions so it can be undone
+  const revision = await recordRevision(client, item, result.rows[0], { userId: user.id, action, restoredFrom });
+
+  return { item: result.rows[0], access, revision };
+}
+
+/**
+ * Move item to the trash (owner only)
+ * @param {object} client - Transaction client
+ * @param {object} user - Authenticated user
+ * @param {number|string} itemId
+ * @param {object} [options]
+ * @param {number} [options.expectedVersion] - Fail with VERSION_CONFLICT unless the item is at this version
+ * @param {string} [options.ifMatch] - If-Match header; fail with PRECONDITION_FAILED unless it matches the item's ETag
+ * @param {boolean} [options.includeDeleted] - Treat an item already in the trash as deleted instead of NOT_FOUND
+ * @returns {Promise<object>} - { item, access, purgeAt } on success
+ */
+async function trashItem(client, user, itemId, { expectedVersion, ifMatch, includeDeleted = false } = {}) {
+  const { item, access, allowed } = await authorizeItem(itemId, user, 'delete', { client, includeDeleted, lock: true });
+
+  // Deleting twice (e.g. a retried sync) is not a conflict
+  if (item && allowed && item.deleted_at) {
+    return { item, access, purgeAt: null };
+  }
+
+  const failure = checkWritable(item, access, allowed, {
+    expectedVersion,
+    ifMatch,
+    deniedMessage: 'Access denied - you do not own this item'
+  });
+  if (failure) {
+    return failure;
+  }
+
+  const result = await client.query(
+    `UPDATE items SET deleted_at = NOW() WHERE id = $1
+     RETURNING ${ITEM_COLUMNS}, deleted_at + make_interval(days => $2) AS purge_at`,
+    [item.id, TRASH_RETENTION_DAYS]
+  );
+
+  const { purge_at: purgeAt, ...trashed } = result.rows[0];
+
+  await recordRevision(client, item, trashed, { userId: user.id, action: 'trash', always: true });
+
+  return { item: trashed, access, purgeAt };
+}
+
+/**
+ * Move item back out of the trash (owner only)
+ * @param {object} client - Transaction client
+ * @param {object} user - Authenticated user
+ * @param {number|string} itemId
+ * @param {object} [options]
+ * @param {number} [options.expectedVersion] - Fail with VERSION_CONFLICT unless the item is at this version
+ * @param {string} [options.ifMatch] - If-Match header; fail with PRECONDITION_FAILED unless it matches the item's ETag
+ * @returns {Promise<object>} - { item, access, revision } on success
+ */
+async function untrashItem(client, user, itemId, { expectedVersion, ifMatch } = {}) {
+  const { item, access, allowed } = await authorizeItem(itemId, user, 'delete', { client, includeDeleted: true, lock: true });
+
+  const failure = checkWritable(item, access, allowed, {
+    expectedVersion,
+    ifMatch,
+    deniedMessage: 'Access denied - you do not own this item'
+  });
+  if (failure) {
+    return failure;
+  }
+
+  if (!item.deleted_at) {
+    return { status: 400, error: 'Item is not in the trash', code: 'NOT_IN_TRASH' };
+  }
+
+  const result = await client.query(
+    `UPDATE items SET deleted_at = NULL WHERE id = $1 RETURNING ${ITEM_COLUMNS}`,
+    [item.id]
+  );
+
+  const revision = await recordRevision(client, item, result.rows[0], { userId: user.id, action: 'untrash', always: true });
+
+  return { item: result.rows[0], access, revision };
+}
+
+module.exports = {
+  createItem,
+  updateItem,
+  trashItem,
+  untrashItem
+};
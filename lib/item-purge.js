@@ -0,0 +1,114 @@
+const { pool, withTransaction } = require('../config/database');
+const { deleteFromSpaces } = require('../config/spaces');
+
+// Trashed items are kept this long before they (and their files) are removed for good
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+const PURGE_BATCH_SIZE = 100;
+
+/**
+ * Delete an item's uploaded files from Spaces
+ * @param {object} client - Transaction client holding the item's row lock
+ * @returns {Promise<boolean>} - false if any file could not be deleted
+ */
+async function deleteItemFiles(client, itemId) {
+  const uploads = await client.query(
+    'SELECT file_url FROM uploads WHERE item_id = $1',
+    [itemId]
+  );
+
+  let ok = true;
+
+  for (const upload of uploads.rows) {
+    try {
+      // Extract key from file_url
+      const url = new URL(upload.file_url);
+      const key = url.pathname.substring(1); // Remove leading /
+      await deleteFromSpaces(key);
+    } catch (err) {
+      console.error('Error deleting file from Spaces:', err);
+      ok = false;
+    }
+  }
+
+  return ok;
+}
+
+/**
+ * Permanently remove one item if it is still due for purging
+ * The row stays locked from the re-check until it is deleted, so a restore
+ * waits for the purge (or the purge skips an item being restored) and files
+ * are never removed from an item that survives.
+ * @returns {Promise<string>} - 'purged', 'failed' (files kept, retried next run) or 'skipped'
+ */
+async function purgeItem(itemId, retentionDays) {
+  return withTransaction(async (client) => {
+    const due = await client.query(
+      `SELECT id FROM items
+       WHERE id = $1 AND deleted_at < NOW() - make_interval(days => $2)
+       FOR UPDATE SKIP LOCKED`,
+      [itemId, retentionDays]
+    );
+
+    if (due.rows.length === 0) {
+      return 'skipped';
+    }
+
+    if (!(await deleteItemFiles(client, itemId))) {
+      return 'failed';
+    }
+
+    // Delete item (cascades to uploads, shares and revisions)
+    const result = await client.query(
+      'DELETE FROM items WHERE id = $1 AND deleted_at < NOW() - make_interval(days => $2)',
+      [itemId, retentionDays]
+    );
+
+    return result.rowCount > 0 ? 'purged' : 'skipped';
+  });
+}
+
+/**
+ * Permanently remove items that have been in the trash longer than the retention period
+ * Items whose files cannot be deleted are kept and retried on the next run.
+ * @param {object} [options]
+ * @param {number} [options.retentionDays] - Defaults to TRASH_RETENTION_DAYS
+ * @returns {Promise<object>} - { purged, failed }
+ */
+async function purgeDeletedItems({ retentionDays = TRASH_RETENTION_DAYS } = {}) {
+  let purged = 0;
+  let failed = 0;
+  let lastId = 0;
+
+  for (;;) {
+    const batch = await pool.query(
+      `SELECT id FROM items
+       WHERE deleted_at < NOW() - make_interval(days => $1) AND id > $2
+       ORDER BY id
+       LIMIT $3`,
+      [retentionDays, lastId, PURGE_BATCH_SIZE]
+    );
+
+    for (const { id } of batch.rows) {
+      const outcome = await purgeItem(id, retentionDays);
+
+      if (outcome === 'purged') {
+        purged++;
+      } else if (outcome === 'failed') {
+        failed++;
+      }
+    }
+
+    if (batch.rows.length < PURGE_BATCH_SIZE) {
+      break;
+    }
+
+    lastId = batch.rows[batch.rows.length - 1].id;
+  }
+
+  return { purged, failed };
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  purgeDeletedItems
+};
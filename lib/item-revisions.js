@@ -0,0 +1,96 @@
+// Fields whose changes are recorded in item_revisions and can be restored
+const TRACKED_FIELDS = ['name', 'description', 'metadata'];
+
+/**
+ * Field-level diff between two item rows
+ * @returns {object} - { field: { from, to } } for every tracked field that changed
+ */
+function diffItems(before, after) {
+  const changes = {};
+
+  for (const field of TRACKED_FIELDS) {
+    const from = before ? before[field] : null;
+    const to = after[field];
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from: from === undefined ? null : from, to };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Snapshot of the tracked fields of an item row
+ */
+function snapshotItem(item) {
+  return Object.fromEntries(TRACKED_FIELDS.map(field => [field, item[field]]));
+}
+
+/**
+ * Insert revision row with the next revision number for the item
+ * Callers hold a row lock on the item (SELECT ... FOR UPDATE or the UPDATE itself).
+ */
+async function insertRevision(client, itemId, { userId, action, changes, snapshot, restoredFrom = null, createdAt = null }) {
+  const result = await client.query(
+    `INSERT INTO item_revisions (item_id, revision, user_id, action, changes, snapshot, restored_from, created_at)
+     SELECT $1, COALESCE(MAX(revision), 0) + 1, $2, $3, $4, $5, $6, COALESCE($7::timestamp, NOW())
+     FROM item_revisions WHERE item_id = $1
+     RETURNING id, revision, user_id, action, changes, restored_from, created_at`,
+    [itemId, userId, action, changes, snapshot, restoredFrom, createdAt]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Record a change to an item (call inside the transaction that made it)
+ * Items created before revisions existed get a baseline revision of their
+ * previous state first, so the very first edit can be undone too.
+ * @param {object} client - Transaction client
+ * @param {object|null} before - Item row before the change (null when created)
+ * @param {object} after - Item row after the change
+ * @param {object} options
+ * @param {number} options.userId - Author of the change
+ * @param {string} options.action - 'create', 'update', 'restore', 'trash' or 'untrash'
+ * @param {number} [options.restoredFrom] - Revision number a restore came from
+ * @param {boolean} [options.always] - Record the change even if no tracked field changed
+ * @returns {Promise<object|null>} - Revision, or null if no tracked field changed
+ */
+async function recordRevision(client, before, after, { userId, action, restoredFrom = null, always = false }) {
+  const changes = diffItems(before, after);
+
+  if (before && !always && Object.keys(changes).length === 0) {
+    return null;
+  }
+
+  if (before) {
+    const existing = await client.query(
+      'SELECT 1 FROM item_revisions WHERE item_id = $1 LIMIT 1',
+      [after.id]
+    );
+
+    if (existing.rows.length === 0) {
+      await insertRevision(client, after.id, {
+        userId: before.user_id,
+        action: 'baseline',
+        changes: {},
+        snapshot: snapshotItem(before),
+        createdAt: before.updated_at || before.created_at
+      });
+    }
+  }
+
+  return insertRevision(client, after.id, {
+    userId,
+    action,
+    changes,
+    snapshot: snapshotItem(after),
+    restoredFrom
+  });
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  recordRevision
+};
@@ -0,0 +1,83 @@
+const { pool } = require('../config/database');
+const { ITEM_COLUMNS } = require('./item-list');
+
+// Text search configuration used by items.search_vector (see db/schema-mobile.sql)
+const SEARCH_CONFIG = 'english';
+const MAX_SEARCH_TERMS = 10;
+
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10, MaxFragments=2';
+
+// Highlights are HTML: the text is escaped first so <mark> is the only markup
+const HTML_ESCAPES = [['&', '&amp;'], ['<', '&lt;'], ['>', '&gt;'], ['"', '&quot;'], ["''", '&#39;']];
+
+// Name and description only, for callers who are not shown metadata (anonymous)
+const TEXT_VECTOR = `(setweight(to_tsvector('${SEARCH_CONFIG}', COALESCE(name, '')), 'A') || ` +
+  `setweight(to_tsvector('${SEARCH_CONFIG}', COALESCE(description, '')), 'B'))`;
+
+/**
+ * SQL expression that HTML-escapes a text expression
+ */
+function escapeHtmlSql(expression) {
+  return HTML_ESCAPES.reduce((sql, [char, entity]) => `replace(${sql}, '${char}', '${entity}')`, expression);
+}
+
+/**
+ * Turn free text into a prefix tsquery ("sum tri" -> "sum:* & tri:*")
+ * Only letters and digits survive, so user input can never inject tsquery operators.
+ * @returns {string|null} - tsquery text, or null if nothing searchable remains
+ */
+function buildPrefixQuery(text) {
+  const terms = String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .slice(0, MAX_SEARCH_TERMS);
+
+  if (terms.length === 0) {
+    return null;
+  }
+
+  return terms.map(term => `${term}:*`).join(' & ');
+}
+
+/**
+ * Ranked full-text search over items
+ * @param {object} scope - Same shape as listItems(): { columns, conditions, values }
+ * @param {object} options
+ * @param {string} options.tsquery - From buildPrefixQuery()
+ * @param {number} options.limit
+ * @param {number} options.offset
+ * @param {boolean} [options.includeMetadata] - Also match the metadata fields in search_vector (false for anonymous callers)
+ * @returns {Promise<object[]>} - Items with rank, name_highlight and snippet (HTML with <mark> around matches)
+ */
+async function searchItems({ columns = ITEM_COLUMNS, conditions = [], values = [] }, { tsquery, limit, offset, includeMetadata = true }) {
+  const queryValues = [...values, tsquery, limit, offset];
+  const queryParam = `$${values.length + 1}`;
+  const where = [...conditions, 'deleted_at IS NULL', 'search_vector @@ query'];
+
+  // search_vector still narrows the rows through its index; the text-only
+  // vector decides the match and the rank
+  const vector = includeMetadata ? 'search_vector' : TEXT_VECTOR;
+  if (!includeMetadata) {
+    where.push(`${TEXT_VECTOR} @@ query`);
+  }
+
+  const result = await pool.query(
+    `SELECT ${columns},
+            ts_rank_cd(${vector}, query) AS rank,
+            ts_headline('${SEARCH_CONFIG}', ${escapeHtmlSql('name')}, query, '${HEADLINE_OPTIONS}') AS name_highlight,
+            ts_headline('${SEARCH_CONFIG}', ${escapeHtmlSql("COALESCE(description, '')")}, query, '${HEADLINE_OPTIONS}') AS snippet
+     FROM items, to_tsquery('${SEARCH_CONFIG}', ${queryParam}) query
+     WHERE ${where.join(' AND ')}
+     ORDER BY rank DESC, id DESC
+     LIMIT $${values.length + 2} OFFSET $${values.length + 3}`,
+    queryValues
+  );
+
+  return result.rows;
+}
+
+module.exports = {
+  buildPrefixQuery,
+  searchItems
+};
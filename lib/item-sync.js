@@ -0,0 +1,248 @@
+const { pool, withTransaction } = require('../config/database');
+const { ITEM_COLUMNS } = require('./item-list');
+const { createItem, updateItem, trashItem } = require('./item-mutations');
+
+// Sync tokens are opaque base64url JSON over transaction IDs (items.change_xid):
+//   f    - snapshot xmin when the sync run started; every transaction below it
+//          had finished, so the next run resumes from there and cannot miss a
+//          change that committed late (already-seen changes may repeat)
+//   x, i - change_xid/id of the last row, while more pages are pending
+//   n    - 1 while the pages of a full sync (no token) are pending
+// Clients apply changes idempotently, keyed by item id.
+const DEFAULT_SYNC_LIMIT = 100;
+const MAX_SYNC_LIMIT = 500;
+const MAX_SYNC_MUTATIONS = 100;
+
+const MUTATION_OPS = ['create', 'update', 'delete'];
+
+function encodeSyncToken(token) {
+  return Buffer.from(JSON.stringify(token)).toString('base64url');
+}
+
+/**
+ * @returns {object|null} - { f, x?, i?, n? } or null if the token is malformed
+ */
+function decodeSyncToken(value) {
+  try {
+    const token = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    const isXid = (xid) => typeof xid === 'string' && /^\d{1,20}$/.test(xid);
+
+    if (!token || !isXid(token.f)) {
+      return null;
+    }
+
+    if (token.x !== undefined && !(isXid(token.x) && Number.isInteger(token.i))) {
+      return null;
+    }
+
+    if (token.n !== undefined && !(token.n === 1 && token.x !== undefined)) {
+      return null;
+    }
+
+    return token;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Parse and validate GET /api/sync query parameters
+ * @returns {object} - { params } or { error, code }
+ */
+function parseSyncParams(query) {
+  let limit = DEFAULT_SYNC_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SYNC_LIMIT) {
+      return { error: `limit must be an integer between 1 and ${MAX_SYNC_LIMIT}`, code: 'VALIDATION_ERROR' };
+    }
+  }
+
+  let since = null;
+  if (query.since) {
+    since = decodeSyncToken(query.since);
+    if (!since) {
+      return { error: 'Invalid sync token', code: 'INVALID_SYNC_TOKEN' };
+    }
+  }
+
+  return { params: { limit, since } };
+}
+
+/**
+ * Compare two changes by (change_xid, id)
+ */
+function compareChanges(a, b) {
+  const ax = BigInt(a.change_xid);
+  const bx = BigInt(b.change_xid);
+
+  if (ax !== bx) {
+    return ax < bx ? -1 : 1;
+  }
+
+  return a.id - b.id;
+}
+
+/**
+ * Changes to the user's own items since a sync token
+ * Without a token this is a full sync of the items not in the trash.
+ * Trashed and purged items come back as tombstones.
+ * @param {number} userId
+ * @param {object} params - From parseSyncParams()
+ * @returns {Promise<object>} - { items, tombstones, sync_token, has_more }
+ */
+async function getChanges(userId, { limit, since }) {
+  // Taken before reading so that anything the reads cannot see yet is at or above it
+  const snapshot = await pool.query('SELECT pg_snapshot_xmin(pg_current_snapshot())::text AS xmin');
+  const floor = since && since.x !== undefined ? since.f : snapshot.rows[0].xmin;
+
+  const values = [userId];
+  const itemConditions = [];
+  let tombstoneCondition = null;
+
+  if (since && since.x !== undefined) {
+    values.push(since.x, since.i);
+    itemConditions.push('(change_xid, id) > ($2::xid8, $3)');
+    tombstoneCondition = '(change_xid, item_id) > ($2::xid8, $3)';
+  } else if (since) {
+    values.push(since.f);
+    itemConditions.push('change_xid >= $2::xid8');
+    tombstoneCondition = 'change_xid >= $2::xid8';
+  }
+
+  // Every page of a full sync lists the items not in the trash, and no tombstones
+  const fullSync = !since || since.n === 1;
+  if (fullSync) {
+    itemConditions.push('deleted_at IS NULL');
+    tombstoneCondition = null;
+  }
+
+  const itemCondition = itemConditions.join(' AND ');
+
+  values.push(limit + 1);
+  const limitParam = `$${values.length}`;
+
+  const items = await pool.query(
+    `SELECT ${ITEM_COLUMNS}, change_xid::text AS change_xid
+     FROM items
+     WHERE user_id = $1 AND ${itemCondition}
+     ORDER BY change_xid, id
+     LIMIT ${limitParam}`,
+    values
+  );
+
+  let purged = { rows: [] };
+  if (tombstoneCondition) {
+    purged = await pool.query(
+      `SELECT item_id AS id, deleted_at, change_xid::text AS change_xid
+       FROM item_tombstones
+       WHERE user_id = $1 AND ${tombstoneCondition}
+       ORDER BY change_xid, item_id
+       LIMIT ${limitParam}`,
+      values
+    );
+  }
+
+  const changes = [...items.rows, ...purged.rows].sort(compareChanges);
+  const hasMore = changes.length > limit;
+  const page = changes.slice(0, limit);
+  const last = page[page.length - 1];
+
+  const result = { items: [], tombstones: [] };
+
+  for (const { change_xid: changeXid, ...row } of page) {
+    if (row.deleted_at) {
+      result.tombstones.push({ id: row.id, deleted_at: row.deleted_at });
+    } else {
+      result.items.push(row);
+    }
+  }
+
+  return {
+    ...result,
+    sync_token: encodeSyncToken(hasMore
+      ? { f: floor, x: last.change_xid, i: last.id, ...(fullSync && { n: 1 }) }
+      : { f: floor }),
+    has_more: hasMore
+  };
+}
+
+/**
+ * Validate a POST /api/sync request body
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateMutations(mutations) {
+  if (!Array.isArray(mutations) || mutations.length === 0) {
+    return 'mutations must be a non-empty array';
+  }
+
+  for (const [index, mutation] of mutations.entries()) {
+    if (!mutation || !MUTATION_OPS.includes(mutation.op)) {
+      return `mutations[${index}].op must be one of: ${MUTATION_OPS.join(', ')}`;
+    }
+
+    if (mutation.op !== 'create' && !Number.isInteger(mutation.base_version)) {
+      return `mutations[${index}].base_version is required for ${mutation.op}`;
+    }
+
+    const { data } = mutation;
+    if (data !== undefined && (typeof data !== 'object' || data === null || Array.isArray(data))) {
+      return `mutations[${index}].data must be an object`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Apply one client mutation in its own transaction
+ * update/delete only apply if the item is still at base_version; otherwise
+ * the result is a conflict carrying the server's copy for the client to merge.
+ * @param {object} user - Authenticated user
+ * @param {object} mutation - { op, id, base_version, data, client_id }
+ * @returns {Promise<object>} - { status: 'applied' | 'conflict' | 'rejected', ... }
+ */
+async function applyMutation(user, { op, id, base_version: baseVersion, data = {}, client_id: clientId }) {
+  const options = { expectedVersion: baseVersion, includeDeleted: true };
+
+  const result = await withTransaction((client) => {
+    if (op === 'create') {
+      return createItem(client, user, data);
+    }
+
+    if (op === 'update') {
+      return updateItem(client, user, id, data, options);
+    }
+
+    return trashItem(client, user, id, options);
+  });
+
+  const outcome = { op, id: result.item ? result.item.id : id };
+  if (clientId !== undefined) {
+    outcome.client_id = clientId;
+  }
+
+  if (!result.error) {
+    return { ...outcome, status: 'applied', item: result.item };
+  }
+
+  if (result.code === 'VERSION_CONFLICT' || result.code === 'ITEM_DELETED') {
+    return { ...outcome, status: 'conflict', code: result.code, error: result.error, item: result.item };
+  }
+
+  return {
+    ...outcome,
+    status: 'rejected',
+    code: result.code,
+    error: result.error,
+    ...(result.errors && { errors: result.errors })
+  };
+}
+
+module.exports = {
+  MAX_SYNC_MUTATIONS,
+  parseSyncParams,
+  getChanges,
+  validateMutations,
+  applyMutation
+};
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { pool } = require('../config/database');
+
+// Item types are a global registry of JSON Schemas for item metadata.
+// Registered schema versions never change: items record the version their
+// metadata was last validated against, so older items stay readable after the
+// schema moves on and are checked against the latest version when next edited.
+const ITEM_TYPE_KEY_PATTERN = /^[a-z][a-z0-9_-]{0,49}$/;
+const MAX_SCHEMA_BYTES = 64 * 1024;
+
+// Compiled validators by schema content. A deleted type can be registered
+// again under the same key and version numbers, so "key@version" does not
+// identify a schema. Least recently used entries are dropped past the limit.
+const MAX_CACHED_VALIDATORS = 200;
+const validators = new Map();
+
+/**
+ * Compiled validator for a stored schema, from the cache when possible
+ */
+function getValidator(itemType) {
+  const cacheKey = crypto.createHash('sha256').update(JSON.stringify(itemType.schema)).digest('hex');
+  let validate = validators.get(cacheKey);
+
+  if (validate) {
+    validators.delete(cacheKey);
+  } else {
+    // Stored schemas were checked at registration, so this only fails if Ajv itself changed
+    const compiled = compileSchema(itemType.schema);
+    if (compiled.error) {
+      throw new Error(`Item type ${itemType.key}@${itemType.version} has an unusable schema: ${compiled.error}`);
+    }
+    validate = compiled.validate;
+
+    if (validators.size >= MAX_CACHED_VALIDATORS) {
+      validators.delete(validators.keys().next().value);
+    }
+  }
+
+  validators.set(cacheKey, validate);
+  return validate;
+}
+
+/**
+ * Compile a JSON Schema for item metadata
+ * Each schema gets its own Ajv instance so $id values cannot clash between types.
+ * @returns {object} - { validate } or { error }
+ */
+function compileSchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema) || schema.type !== 'object') {
+    return { error: 'Schema must be a JSON Schema object with "type": "object"' };
+  }
+
+  if (JSON.stringify(schema).length > MAX_SCHEMA_BYTES) {
+    return { error: `Schema must be smaller than ${MAX_SCHEMA_BYTES / 1024} KB` };
+  }
+
+  try {
+    const ajv = new Ajv({ allErrors: true });
+    addFormats(ajv);
+    return { validate: ajv.compile(schema) };
+  } catch (err) {
+    return { error: `Invalid schema: ${err.message}` };
+  }
+}
+
+/**
+ * Field-level errors from an Ajv validation, with paths like "metadata.address.city"
+ */
+function formatErrors(errors) {
+  return errors.map((error) => {
+    const path = error.instancePath.split('/').slice(1).map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+    if (error.keyword === 'required') {
+      path.push(error.params.missingProperty);
+    } else if (error.keyword === 'additionalProperties') {
+      path.push(error.params.additionalProperty);
+    }
+
+    return {
+      field: ['metadata', ...path].join('.'),
+      message: error.message,
+      keyword: error.keyword
+    };
+  });
+}
+
+/**
+ * Load item type with one of its schema versions (latest by default)
+ * @returns {Promise<object|null>} - { key, name, description, current_version, version, schema, ... }
+ */
+async function getItemType(key, { version = null, client = pool } = {}) {
+  const result = await client.query(
+    `SELECT t.key, t.name, t.description, t.current_version, t.created_at, t.updated_at,
+            v.version, v.schema, v.created_at AS version_created_at
+     FROM item_types t
+     JOIN item_type_versions v ON v.item_type = t.key AND v.version = COALESCE($2, t.current_version)
+     WHERE t.key = $1`,
+    [key, version]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Validate item metadata against the latest version of an item type
+ * @param {object} client - Query client
+ * @param {string} key - Item type key
+ * @param {object} metadata
+ * @returns {Promise<object>} - { version } when valid, otherwise { status, error, code, errors? }
+ */
+async function validateItemMetadata(client, key, metadata) {
+  const itemType = typeof key === 'string' ? await getItemType(key, { client }) : null;
+
+  if (!itemType) {
+    return { status: 400, error: `Unknown item type: ${key}`, code: 'INVALID_ITEM_TYPE' };
+  }
+
+  const validate = getValidator(itemType);
+
+  if (!validate(metadata)) {
+    return {
+      status: 400,
+      error: `Metadata does not match item type ${itemType.key} (version ${itemType.version})`,
+      code: 'INVALID_METADATA',
+      errors: formatErrors(validate.errors)
+    };
+  }
+
+  return { version: itemType.version };
+}
+
+module.exports = {
+  ITEM_TYPE_KEY_PATTERN,
+  compileSchema,
+  getItemType,
+  validateItemMetadata
+};
@@ -0,0 +1,105 @@
+const { pool } = require('../config/database');
+
+// Per-account brute-force protection
+// The first LOCKOUT_THRESHOLD - 1 failures are free; from then on every failure
+// locks the account for an exponentially growing period (base * 2^n, capped).
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5;
+const LOCKOUT_BASE_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS, 10) || 60;
+const LOCKOUT_MAX_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS, 10) || 60 * 60;
+// Failures older than this no longer count towards a lockout
+const FAILURE_WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 10) || 24 * 60;
+
+/**
+ * Seconds until a locked account can try again (0 if not locked)
+ * @param {object} user - Must include locked_until
+ */
+function getLockRemaining(user) {
+  if (!user.locked_until) {
+    return 0;
+  }
+
+  const remaining = Math.ceil((new Date(user.locked_until).getTime() - Date.now()) / 1000);
+  return Math.max(remaining, 0);
+}
+
+/**
+ * Record lock/unlock event
+ */
+async function recordLockoutEvent(userId, event, ipAddress, details = {}) {
+  await pool.query(
+    'INSERT INTO account_lockout_events (user_id, event, ip_address, details) VALUES ($1, $2, $3, $4)',
+    [userId, event, ipAddress || null, details]
+  );
+}
+
+/**
+ * Count failed login attempt, locking the account once over the threshold
+ * @param {number} userId - Account that failed to authenticate
+ * @param {string} [ipAddress] - Client IP (recorded with lock events)
+ * @returns {Promise<number>} - Seconds the account is now locked for (0 if not locked)
+ */
+async function recordFailedLogin(userId, ipAddress) {
+  const result = await pool.query(
+    `WITH attempt AS (
+       SELECT id,
+              CASE WHEN last_failed_login_at IS NULL OR last_failed_login_at < NOW() - make_interval(mins => $2)
+                   THEN 1 ELSE failed_login_count + 1 END AS failures
+       FROM users WHERE id = $1
+       FOR UPDATE
+     )
+     UPDATE users u
+     SET failed_login_count = a.failures,
+         last_failed_login_at = NOW(),
+         locked_until = CASE WHEN a.failures >= $3
+                             THEN NOW() + make_interval(secs => LEAST($4 * POWER(2, a.failures - $3), $5))
+                             ELSE u.locked_until END
+     FROM attempt a
+     WHERE u.id = a.id
+     RETURNING u.failed_login_count, u.locked_until`,
+    [userId, FAILURE_WINDOW_MINUTES, LOCKOUT_THRESHOLD, LOCKOUT_BASE_SECONDS, LOCKOUT_MAX_SECONDS]
+  );
+
+  if (result.rows.length === 0) {
+    return 0;
+  }
+
+  const { failed_login_count: failures } = result.rows[0];
+  const lockSeconds = getLockRemaining(result.rows[0]);
+
+  if (failures >= LOCKOUT_THRESHOLD) {
+    await recordLockoutEvent(userId, 'locked', ipAddress, {
+      failed_attempts: failures,
+      lock_seconds: lockSeconds
+    });
+  }
+
+  return lockSeconds;
+}
+
+/**
+ * Clear failed login counter (successful login, password reset)
+ * Records an unlock event if the account had been locked.
+ * @param {number} userId - Account to reset
+ * @param {string} reason - Why the counter was cleared, e.g. 'login'
+ * @param {string} [ipAddress] - Client IP
+ */
+async function resetFailedLogins(userId, reason, ipAddress) {
+  const result = await pool.query(
+    `UPDATE users u
+     SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL
+     FROM (SELECT id, locked_until FROM users WHERE id = $1 FOR UPDATE) previous
+     WHERE u.id = previous.id AND (u.failed_login_count > 0 OR u.locked_until IS NOT NULL)
+     RETURNING previous.locked_until`,
+    [userId]
+  );
+
+  if (result.rows.length > 0 && result.rows[0].locked_until) {
+    await recordLockoutEvent(userId, 'unlocked', ipAddress, { reason });
+  }
+}
+
+module.exports = {
+  getLockRemaining,
+  recordFailedLogin,
+  resetFailedLogins
+};
@@ -0,0 +1,225 @@
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { pool } = require('../config/database');
+
+// Relying party: the domain passkeys are bound to
+// Mobile apps add their platform origins (e.g. android:apk-key-hash:...) to WEBAUTHN_ORIGINS
+const RP_ID = process.env.WEBAUTHN_RP_ID || 'localhost';
+const RP_NAME = process.env.WEBAUTHN_RP_NAME || process.env.APP_NAME || 'do-app-starter';
+const ORIGINS = (process.env.WEBAUTHN_ORIGINS || 'http://localhost:8080')
+  .split(',').map(origin => origin.trim()).filter(Boolean);
+
+const CHALLENGE_EXPIRES_SECONDS = 5 * 60;
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Store ceremony challenge until it is used or expires
+ * @returns {Promise<string>} - Challenge ID the client sends back with its response
+ */
+async function saveChallenge(challenge, purpose, userId = null) {
+  await pool.query('DELETE FROM webauthn_challenges WHERE expires_at < NOW()');
+
+  const result = await pool.query(
+    `INSERT INTO webauthn_challenges (user_id, challenge, purpose, expires_at)
+     VALUES ($1, $2, $3, NOW() + make_interval(secs => $4))
+     RETURNING id`,
+    [userId, challenge, purpose, CHALLENGE_EXPIRES_SECONDS]
+  );
+
+  return result.rows[0].id;
+}
+
+/**
+ * Consume challenge (single use)
+ * @returns {Promise<object|null>} - { challenge, user_id } or null if unknown/expired
+ */
+async function consumeChallenge(challengeId, purpose) {
+  if (!UUID_REGEX.test(String(challengeId))) {
+    return null;
+  }
+
+  const result = await pool.query(
+    `DELETE FROM webauthn_challenges
+     WHERE id = $1 AND purpose = $2 AND expires_at > NOW()
+     RETURNING challenge, user_id`,
+    [challengeId, purpose]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Start passkey registration for a signed-in user
+ * @returns {Promise<object>} - { challenge_id, options } for navigator.credentials.create()
+ */
+async function startRegistration(user) {
+  const existing = await pool.query(
+    'SELECT credential_id, transports FROM webauthn_credentials WHERE user_id = $1',
+    [user.id]
+  );
+
+  const options = await generateRegistrationOptions({
+    rpName: RP_NAME,
+    rpID: RP_ID,
+    userName: user.email,
+    userDisplayName: user.name || user.email,
+    userID: Buffer.from(String(user.id)),
+    attestationType: 'none',
+    excludeCredentials: existing.rows.map(row => ({
+      id: row.credential_id,
+      transports: row.transports || undefined
+    })),
+    authenticatorSelection: {
+      residentKey: 'required',
+      userVerification: 'preferred'
+    }
+  });
+
+  const challengeId = await saveChallenge(options.challenge, 'registration', user.id);
+
+  return { challenge_id: challengeId, options };
+}
+
+/**
+ * Verify attestation and store new credential
+ * @returns {Promise<object|null>} - Stored credential, or null if verification failed
+ */
+async function finishRegistration(user, challengeId, response, name) {
+  const challenge = await consumeChallenge(challengeId, 'registration');
+  if (!challenge || challenge.user_id !== user.id) {
+    return null;
+  }
+
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response,
+      expectedChallenge: challenge.challenge,
+      expectedOrigin: ORIGINS,
+      expectedRPID: RP_ID
+    });
+  } catch (error) {
+    return null;
+  }
+
+  if (!verification.verified) {
+    return null;
+  }
+
+  const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+
+  const result = await pool.query(
+    `INSERT INTO webauthn_credentials
+       (user_id, credential_id, public_key, counter, transports, device_type, backed_up, name)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING id, name, device_type, backed_up, created_at, last_used_at`,
+    [
+      user.id,
+      credential.id,
+      Buffer.from(credential.publicKey),
+      credential.counter,
+      credential.transports || null,
+      credentialDeviceType,
+      credentialBackedUp,
+      name ? String(name).slice(0, 100) : null
+    ]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Start passkey login
+ * Without an email the authenticator offers its discoverable credentials.
+ * @returns {Promise<object>} - { challenge_id, options } for navigator.credentials.get()
+ */
+async function startAuthentication(email) {
+  let allowCredentials = [];
+
+  if (email) {
+    const result = await pool.query(
+      `SELECT c.credential_id, c.transports FROM webauthn_credentials c
+       JOIN users u ON u.id = c.user_id
+       WHERE u.email = $1`,
+      [email.toLowerCase()]
+    );
+
+    allowCredentials = result.rows.map(row => ({
+      id: row.credential_id,
+      transports: row.transports || undefined
+    }));
+  }
+
+  const options = await generateAuthenticationOptions({
+    rpID: RP_ID,
+    allowCredentials,
+    userVerification: 'preferred'
+  });
+
+  const challengeId = await saveChallenge(options.challenge, 'authentication');
+
+  return { challenge_id: challengeId, options };
+}
+
+/**
+ * Verify assertion and update the signature counter
+ * A counter that does not increase indicates a cloned authenticator.
+ * @returns {Promise<number|null>} - ID of the authenticated user, or null
+ */
+async function finishAuthentication(challengeId, response) {
+  const challenge = await consumeChallenge(challengeId, 'authentication');
+  if (!challenge || !response || !response.id) {
+    return null;
+  }
+
+  const result = await pool.query(
+    'SELECT id, user_id, credential_id, public_key, counter, transports FROM webauthn_credentials WHERE credential_id = $1',
+    [response.id]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const stored = result.rows[0];
+
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge: challenge.challenge,
+      expectedOrigin: ORIGINS,
+      expectedRPID: RP_ID,
+      credential: {
+        id: stored.credential_id,
+        publicKey: new Uint8Array(stored.public_key),
+        counter: Number(stored.counter),
+        transports: stored.transports || undefined
+      }
+    });
+  } catch (error) {
+    return null;
+  }
+
+  if (!verification.verified) {
+    return null;
+  }
+
+  await pool.query(
+    'UPDATE webauthn_credentials SET counter = $1, last_used_at = NOW() WHERE id = $2',
+    [verification.authenticationInfo.newCounter, stored.id]
+  );
+
+  return stored.user_id;
+}
+
+module.exports = {
+  startRegistration,
+  finishRegistration,
+  startAuthentication,
+  finishAuthentication
+};
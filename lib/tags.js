@@ -0,0 +1,49 @@
+// Tags are per-user labels: each user has their own tag names, which they can
+// attach to any item they can read (their own or shared with them)
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * Trim and validate tag name
+ * @returns {string|null} - Normalized name, or null if invalid
+ */
+function normalizeTagName(name) {
+  if (typeof name !== 'string') {
+    return null;
+  }
+
+  const trimmed = name.trim().replace(/\s+/g, ' ');
+  return trimmed.length > 0 && trimmed.length <= MAX_TAG_LENGTH ? trimmed : null;
+}
+
+/**
+ * Look up user's tags by name (case-insensitive), creating missing ones
+ * @param {object} client - Query client
+ * @param {number} userId - Tag owner
+ * @param {string[]} names - Normalized tag names
+ * @returns {Promise<object[]>} - Tag rows { id, name }
+ */
+async function findOrCreateTags(client, userId, names) {
+  if (names.length === 0) {
+    return [];
+  }
+
+  await client.query(
+    `INSERT INTO tags (user_id, name)
+     SELECT $1, name FROM UNNEST($2::text[]) AS name
+     ON CONFLICT (user_id, LOWER(name)) DO NOTHING`,
+    [userId, names]
+  );
+
+  const result = await client.query(
+    'SELECT id, name FROM tags WHERE user_id = $1 AND LOWER(name) = ANY($2)',
+    [userId, names.map(name => name.toLowerCase())]
+  );
+
+  return result.rows;
+}
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  normalizeTagName,
+  findOrCreateTags
+};
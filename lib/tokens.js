@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { hashToken } = require('../middleware/auth');
+
+/**
+ * Issue single-use token for a user (email verification, password reset, ...)
+ * Any earlier unused token for the same purpose is invalidated.
+ * @param {number} userId - User the token belongs to
+ * @param {string} purpose - Token purpose, e.g. 'email_verification'
+ * @param {number} expiresInMinutes - Token lifetime
+ * @returns {Promise<string>} - Plain token (only the hash is stored)
+ */
+async function issueUserToken(userId, purpose, expiresInMinutes) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  await pool.query(
+    'DELETE FROM user_tokens WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+    [userId, purpose]
+  );
+
+  await pool.query(
+    'INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at) VALUES ($1, $2, $3, $4)',
+    [userId, purpose, hashToken(token), expiresAt]
+  );
+
+  return token;
+}
+
+/**
+ * Consume single-use token
+ * Marks the token as used atomically, so it cannot be redeemed twice.
+ * @param {string} token - Plain token from the client
+ * @param {string} purpose - Expected token purpose
+ * @param {object} [client] - Database client (for transactions)
+ * @returns {Promise<number|null>} - User ID, or null if invalid/expired/used
+ */
+async function consumeUserToken(token, purpose, client = pool) {
+  const result = await client.query(
+    `UPDATE user_tokens SET used_at = NOW()
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [hashToken(token), purpose]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+}
+
+module.exports = {
+  issueUserToken,
+  consumeUserToken
+};
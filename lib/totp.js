@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+
+// RFC 6238 defaults understood by every authenticator app
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30; // seconds
+const TOTP_WINDOW = 1; // accept one step of clock drift either side
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode buffer as RFC 4648 base32 (no padding)
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode RFC 4648 base32 string (case-insensitive, padding ignored)
+ */
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate new random TOTP secret (base32, 160 bits)
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Compute HOTP code for a counter (RFC 4226)
+ */
+function hotp(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Current TOTP time step
+ */
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_PERIOD);
+}
+
+/**
+ * Verify TOTP code
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [lastUsedStep] - Last accepted step (codes at or before it are replays)
+ * @returns {number|null} - Matched time step, or null if the code is invalid
+ */
+function verifyCode(secret, code, lastUsedStep = -1) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const step = currentStep();
+
+  for (let i = -TOTP_WINDOW; i <= TOTP_WINDOW; i++) {
+    const candidate = step + i;
+    if (candidate <= lastUsedStep) {
+      continue;
+    }
+
+    const expected = hotp(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build otpauth:// URI for QR codes in authenticator apps
+ */
+function buildOtpauthUri(secret, accountName, issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+  hotp,
+  currentStep
+};
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { hashToken } = require('../middleware/auth');
+const { verifyCode } = require('./totp');
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Normalize recovery code for hashing (case, dashes and spaces are ignored)
+ */
+function normalizeRecoveryCode(code) {
+  return String(code).toLowerCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Replace user's recovery codes with a fresh set
+ * @param {number} userId - User the codes belong to
+ * @param {object} [client] - Database client (for transactions)
+ * @returns {Promise<string[]>} - Plain codes (shown to the user once)
+ */
+async function generateRecoveryCodes(userId, client = pool) {
+  const codes = [];
+
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+
+  for (const code of codes) {
+    await client.query(
+      'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashToken(normalizeRecoveryCode(code))]
+    );
+  }
+
+  return codes;
+}
+
+/**
+ * Verify second factor: TOTP code or one-time recovery code
+ * Accepted TOTP steps and recovery codes are recorded so they cannot be replayed.
+ * @param {object} user - Must include id and totp_secret
+ * @param {object} factor - { code } or { recovery_code }
+ * @returns {Promise<string|null>} - 'totp' or 'recovery_code', or null if invalid
+ */
+async function verifySecondFactor(user, { code, recovery_code: recoveryCode }) {
+  if (code && user.totp_secret) {
+    const step = verifyCode(user.totp_secret, code);
+    if (step === null) {
+      return null;
+    }
+
+    const result = await pool.query(
+      `UPDATE users SET totp_last_step = $1
+       WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)
+       RETURNING id`,
+      [step, user.id]
+    );
+
+    return result.rows.length > 0 ? 'totp' : null;
+  }
+
+  if (recoveryCode) {
+    const result = await pool.query(
+      `UPDATE user_recovery_codes SET used_at = NOW()
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [user.id, hashToken(normalizeRecoveryCode(recoveryCode))]
+    );
+
+    return result.rows.length > 0 ? 'recovery_code' : null;
+  }
+
+  return null;
+}
+
+module.exports = {
+  generateRecoveryCodes,
+  verifySecondFactor
+};
@@ -1,39 +1,163 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
-const { pool } = require('../config/database');
+const ms = require('ms');
+const { pool, withTransaction } = require('../config/database');
+const { hasPermission } = require('../config/permissions');
+const { signJwt, verifyJwt, JWT_SECRET } = require('../config/keys');
 
-// JWT Secret (should be in environment variables)
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-const JWT_EXPIRES_IN = '7d'; // Token expiration
+// Access tokens are short-lived; clients renew them with a refresh token
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const CHALLENGE_TOKEN_EXPIRES_IN = '5m';
+
+// Longest lifetime of any JWT we sign - retired signing keys are kept this long
+const MAX_TOKEN_LIFETIME_SECONDS = Math.ceil(
+  Math.max(ms(ACCESS_TOKEN_EXPIRES_IN), ms(CHALLENGE_TOKEN_EXPIRES_IN)) / 1000
+);
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30;
+
+const TWO_FACTOR_CHALLENGE = '2fa_challenge';
+
+// API keys are recognized by this prefix in the Authorization header
+const API_KEY_PREFIX = 'ak_';
+
+// How often authenticate records session/API key activity
+const SESSION_TOUCH_INTERVAL = 60 * 1000;
+
+// When enabled, routes guarded by requireVerifiedEmail reject unverified users
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
 
 /**
- * Generate JWT token for user
+ * Generate JWT access token for user
  */
-function generateToken(user) {
-  return jwt.sign(
+function generateToken(user, jti = crypto.randomUUID()) {
+  return signJwt(
     {
       id: user.id,
       email: user.email,
-      jti: `${user.id}-${Date.now()}` // JWT ID for session tracking
+      role: user.role || 'user',
+      jti // JWT ID for session tracking
     },
-    JWT_SECRET,
-    { expiresIn: JWT_EXPIRES_IN }
+    ACCESS_TOKEN_EXPIRES_IN
   );
 }
 
 /**
- * Verify and decode JWT token
+ * Generate opaque refresh token
+ * Only the SHA-256 hash is stored, so a database leak cannot be replayed
+ */
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+/**
+ * Hash opaque token for storage and lookup
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Verify and decode JWT access token
+ * Purpose-bound tokens (e.g. 2FA challenges) are never accepted as access tokens
  */
 function verifyToken(token) {
   try {
-    return jwt.verify(token, JWT_SECRET);
+    const decoded = verifyJwt(token);
+    return decoded.purpose ? null : decoded;
   } catch (error) {
     return null;
   }
 }
 
+/**
+ * Generate short-lived 2FA challenge token
+ * Issued after a correct password when the account has 2FA enabled
+ */
+function generateChallengeToken(user) {
+  return signJwt(
+    { id: user.id, purpose: TWO_FACTOR_CHALLENGE },
+    CHALLENGE_TOKEN_EXPIRES_IN
+  );
+}
+
+/**
+ * Verify 2FA challenge token
+ * @returns {object|null} - Decoded token, or null if invalid/expired
+ */
+function verifyChallengeToken(token) {
+  try {
+    const decoded = verifyJwt(token);
+    return decoded.purpose === TWO_FACTOR_CHALLENGE ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Resolve API key to its owner
+ * @param {string} key - Plain API key from the Authorization header
+ * @returns {Promise<object|null>} - { user, apiKey } or null if unknown/expired
+ */
+async function resolveApiKey(key) {
+  const result = await pool.query(
+    `SELECT k.id AS key_id, k.scopes, k.last_used_at,
+            u.id, u.email, u.name, u.avatar_url, u.role, u.email_verified_at, u.created_at
+     FROM api_keys k
+     JOIN users u ON u.id = k.user_id
+     WHERE k.key_hash = $1 AND (k.expires_at IS NULL OR k.expires_at > NOW())`,
+    [hashToken(key)]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const { key_id: keyId, scopes, last_used_at: lastUsedAt, ...user } = result.rows[0];
+
+  // Record usage at most once a minute, without blocking the request
+  const lastUsed = lastUsedAt ? new Date(lastUsedAt).getTime() : 0;
+  if (Date.now() - lastUsed >= SESSION_TOUCH_INTERVAL) {
+    pool.query('UPDATE api_keys SET last_used_at = NOW() WHERE id = $1', [keyId])
+      .catch(error => console.error('API key touch error:', error));
+  }
+
+  return { user, apiKey: { id: keyId, scopes } };
+}
+
+/**
+ * Resolve a verified access token to its session and user
+ * The session must still be valid (revoked on logout or remote sign-out,
+ * retired on refresh).
+ * @param {object} decoded - From verifyToken()
+ * @returns {Promise<object>} - { user, session } or { error, code }
+ */
+async function resolveAccessToken(decoded) {
+  const sessionCheck = await pool.query(
+    'SELECT id, family_id, last_seen_at FROM sessions WHERE token_jti = $1 AND rotated_at IS NULL AND expires_at > NOW()',
+    [decoded.jti]
+  );
+
+  if (sessionCheck.rows.length === 0) {
+    // Session doesn't exist, expired or was rotated
+    return { error: 'Session expired', code: 'SESSION_EXPIRED' };
+  }
+
+  const userResult = await pool.query(
+    'SELECT id, email, name, avatar_url, role, email_verified_at, created_at FROM users WHERE id = $1',
+    [decoded.id]
+  );
+
+  if (userResult.rows.length === 0) {
+    return { error: 'User not found', code: 'USER_NOT_FOUND' };
+  }
+
+  return { user: userResult.rows[0], session: sessionCheck.rows[0] };
+}
+
 /**
  * Authentication middleware
- * Protects routes by requiring valid JWT token
+ * Protects routes by requiring valid JWT token or API key
+ * API key requests get req.apiKey; pair with requireScope or requireSession.
  */
 async function authenticate(req, res, next) {
   try {
@@ -50,6 +174,24 @@ async function authenticate(req, res, next) {
 
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
 
+    // API key (personal access token)
+    if (token.startsWith(API_KEY_PREFIX)) {
+      const resolved = await resolveApiKey(token);
+
+      if (!resolved) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid or expired API key',
+          code: 'INVALID_API_KEY'
+        });
+      }
+
+      req.user = resolved.user;
+      req.apiKey = resolved.apiKey;
+
+      return next();
+    }
+
     // Verify token
     const decoded = verifyToken(token);
 
@@ -61,38 +203,22 @@ async function authenticate(req, res, next) {
       });
     }
 
-    // Check if session is still valid (optional - for token blacklisting)
-    const sessionCheck = await pool.query(
-      'SELECT id FROM sessions WHERE token_jti = $1 AND expires_at > NOW()',
-      [decoded.jti]
-    );
-
-    if (sessionCheck.rows.length === 0) {
-      // Session doesn't exist or expired
-      return res.status(401).json({
-        success: false,
-        error: 'Session expired',
-        code: 'SESSION_EXPIRED'
-      });
-    }
-
-    // Get user from database
-    const userResult = await pool.query(
-      'SELECT id, email, name, avatar_url, created_at FROM users WHERE id = $1',
-      [decoded.id]
-    );
+    const { user, session, error, code } = await resolveAccessToken(decoded);
 
-    if (userResult.rows.length === 0) {
+    if (error) {
       return res.status(401).json({
         success: false,
-        error: 'User not found',
-        code: 'USER_NOT_FOUND'
+        error,
+        code
       });
     }
 
     // Attach user to request
-    req.user = userResult.rows[0];
+    req.user = user;
     req.token = decoded;
+    req.session = session;
+
+    touchSession(req.session, getClientInfo(req));
 
     next();
   } catch (error) {
@@ -115,17 +241,30 @@ async function optionalAuth(req, res, next) {
 
     if (authHeader && authHeader.startsWith('Bearer ')) {
       const token = authHeader.substring(7);
+
+      if (token.startsWith(API_KEY_PREFIX)) {
+        const resolved = await resolveApiKey(token);
+
+        if (resolved) {
+          req.user = resolved.user;
+          req.apiKey = resolved.apiKey;
+        }
+
+        return next();
+      }
+
       const decoded = verifyToken(token);
 
+      // A token whose session was revoked or rotated counts as anonymous
       if (decoded) {
-        const userResult = await pool.query(
-          'SELECT id, email, name, avatar_url, created_at FROM users WHERE id = $1',
-          [decoded.id]
-        );
+        const { user, session } = await resolveAccessToken(decoded);
 
-        if (userResult.rows.length > 0) {
-          req.user = userResult.rows[0];
+        if (user) {
+          req.user = user;
           req.token = decoded;
+          req.session = session;
+
+          touchSession(session, getClientInfo(req));
         }
       }
     }
@@ -138,23 +277,270 @@ async function optionalAuth(req, res, next) {
 }
 
 /**
- * Create session in database (for token management)
+ * Scope middleware (use after authenticate/optionalAuth)
+ * Sessions (JWT) have full access; API keys need the given scope.
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        error: `API key is missing required scope: ${scope}`,
+        code: 'INSUFFICIENT_SCOPE'
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Authorization middleware (use after authenticate)
+ * Requires the user's role to grant a permission from the permission matrix.
+ * The role is read from the database on each request, so changes apply immediately.
  */
-async function createSession(userId, tokenJti, expiresInDays = 7) {
+function authorize(permission) {
+  return (req, res, next) => {
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to perform this action',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Session-only middleware (use after authenticate)
+ * Account security routes (password, 2FA, sessions, API keys) reject API keys.
+ */
+function requireSession(req, res, next) {
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      error: 'This endpoint requires a user session, not an API key',
+      code: 'API_KEY_NOT_ALLOWED'
+    });
+  }
+
+  next();
+}
+
+/**
+ * Verified email middleware (use after authenticate)
+ * Blocks users who have not verified their email address yet.
+ * No-op unless REQUIRE_EMAIL_VERIFICATION=true.
+ */
+function requireVerifiedEmail(req, res, next) {
+  if (REQUIRE_EMAIL_VERIFICATION && !req.user.email_verified_at) {
+    return res.status(403).json({
+      success: false,
+      error: 'Email address not verified',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+
+  next();
+}
+
+/**
+ * Extract device details for session tracking from request
+ * Clients may name the device with a device_name body field or X-Device-Name header
+ */
+function getClientInfo(req) {
+  const deviceName = (req.body && req.body.device_name) || req.get('x-device-name') || null;
+
+  return {
+    deviceName: deviceName ? String(deviceName).slice(0, 255) : null,
+    userAgent: req.get('user-agent') || null,
+    ipAddress: req.ip || null
+  };
+}
+
+/**
+ * Record session activity (last seen time and IP)
+ * Written at most once a minute per session and never blocks the request.
+ */
+function touchSession(session, clientInfo) {
+  const lastSeen = session.last_seen_at ? new Date(session.last_seen_at).getTime() : 0;
+  if (Date.now() - lastSeen < SESSION_TOUCH_INTERVAL) {
+    return;
+  }
+
+  pool.query(
+    'UPDATE sessions SET last_seen_at = NOW(), ip_address = COALESCE($2, ip_address) WHERE id = $1',
+    [session.id, clientInfo.ipAddress]
+  ).catch(error => {
+    console.error('Session touch error:', error);
+  });
+}
+
+/**
+ * Create session in database and issue its tokens
+ * Each row holds one access token (by jti) and one refresh token (by hash).
+ * Rows created by rotating a refresh token share the same family_id, which is
+ * the session ID shown to users.
+ * @param {object} user - User the session belongs to
+ * @param {object} [options]
+ * @param {string} [options.familyId] - Existing session family (for rotation)
+ * @param {Date} [options.signedInAt] - Original sign-in time (for rotation)
+ * @param {object} [options.clientInfo] - Device details from getClientInfo()
+ * @param {object} [options.client] - Database client (for transactions)
+ * @returns {Promise<object>} - { token, refresh_token, expires_in }
+ */
+async function createSession(user, options = {}) {
+  const db = options.client || pool;
+  const familyId = options.familyId || crypto.randomUUID();
+  const clientInfo = options.clientInfo || {};
+  const jti = crypto.randomUUID();
+  const token = generateToken(user, jti);
+  const refreshToken = generateRefreshToken();
+
   const expiresAt = new Date();
-  expiresAt.setDate(expiresAt.getDate() + expiresInDays);
+  expiresAt.setDate(expiresAt.getDate() + REFRESH_TOKEN_EXPIRES_DAYS);
 
-  await pool.query(
-    'INSERT INTO sessions (user_id, token_jti, expires_at) VALUES ($1, $2, $3)',
-    [userId, tokenJti, expiresAt]
+  await db.query(
+    `INSERT INTO sessions
+       (user_id, token_jti, family_id, refresh_token_hash, expires_at,
+        device_name, user_agent, ip_address, signed_in_at, last_seen_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, NOW()), NOW())`,
+    [
+      user.id, jti, familyId, hashToken(refreshToken), expiresAt,
+      clientInfo.deviceName || null, clientInfo.userAgent || null, clientInfo.ipAddress || null,
+      options.signedInAt || null
+    ]
   );
+
+  const { iat, exp } = jwt.decode(token);
+
+  return {
+    token,
+    refresh_token: refreshToken,
+    expires_in: exp - iat
+  };
+}
+
+/**
+ * Exchange refresh token for a new token pair (rotation)
+ * A refresh token can be used exactly once. Presenting one that was already
+ * rotated means it leaked, so the whole session family is revoked.
+ * @param {string} refreshToken - Opaque refresh token from the client
+ * @param {object} [clientInfo] - Device details from getClientInfo()
+ * @returns {Promise<object>} - { tokens } on success, { error } otherwise
+ *                              (reuse also returns the affected userId and sessionId)
+ */
+async function rotateRefreshToken(refreshToken, clientInfo = {}) {
+  return withTransaction(async (client) => {
+    const sessionResult = await client.query(
+      `SELECT s.id, s.family_id, s.rotated_at, s.signed_in_at, s.device_name, s.user_agent, s.ip_address,
+              u.id AS user_id, u.email, u.role
+       FROM sessions s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.refresh_token_hash = $1 AND s.expires_at > NOW()
+       FOR UPDATE OF s`,
+      [hashToken(refreshToken)]
+    );
+
+    if (sessionResult.rows.length === 0) {
+      return { error: 'INVALID_REFRESH_TOKEN' };
+    }
+
+    const session = sessionResult.rows[0];
+
+    if (session.rotated_at) {
+      await client.query('DELETE FROM sessions WHERE family_id = $1', [session.family_id]);
+      return { error: 'REFRESH_TOKEN_REUSED', userId: session.user_id, sessionId: session.family_id };
+    }
+
+    await client.query(
+      'UPDATE sessions SET rotated_at = NOW() WHERE id = $1',
+      [session.id]
+    );
+
+    const tokens = await createSession(
+      { id: session.user_id, email: session.email, role: session.role },
+      {
+        familyId: session.family_id,
+        signedInAt: session.signed_in_at,
+        clientInfo: {
+          deviceName: clientInfo.deviceName || session.device_name,
+          userAgent: clientInfo.userAgent || session.user_agent,
+          ipAddress: clientInfo.ipAddress || session.ip_address
+        },
+        client
+      }
+    );
+
+    return { tokens };
+  });
 }
 
 /**
  * Revoke session (logout)
+ * Removes every token in the session family, including its refresh token
  */
 async function revokeSession(tokenJti) {
-  await pool.query('DELETE FROM sessions WHERE token_jti = $1', [tokenJti]);
+  await pool.query(
+    'DELETE FROM sessions WHERE token_jti = $1 OR family_id = (SELECT family_id FROM sessions WHERE token_jti = $1)',
+    [tokenJti]
+  );
+}
+
+/**
+ * List user's active sessions (one per signed-in device)
+ * @param {number} userId - User whose sessions are listed
+ * @returns {Promise<object[]>}
+ */
+async function listSessions(userId) {
+  const result = await pool.query(
+    `SELECT family_id AS id, device_name, user_agent, ip_address, signed_in_at, last_seen_at, expires_at
+     FROM sessions
+     WHERE user_id = $1 AND rotated_at IS NULL AND expires_at > NOW()
+     ORDER BY last_seen_at DESC NULLS LAST`,
+    [userId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Revoke one session (device) belonging to a user
+ * @returns {Promise<boolean>} - False if no such session
+ */
+async function revokeUserSession(userId, sessionId) {
+  const result = await pool.query(
+    'DELETE FROM sessions WHERE user_id = $1 AND family_id = $2',
+    [userId, sessionId]
+  );
+
+  return result.rowCount > 0;
+}
+
+/**
+ * Revoke all of a user's sessions except one ("sign out everywhere else")
+ * @returns {Promise<number>} - Number of revoked sessions
+ */
+async function revokeOtherSessions(userId, keepSessionId) {
+  const result = await pool.query(
+    `DELETE FROM sessions
+     WHERE user_id = $1 AND family_id IS DISTINCT FROM $2
+     RETURNING family_id`,
+    [userId, keepSessionId]
+  );
+
+  return new Set(result.rows.map(row => row.family_id)).size;
+}
+
+/**
+ * Revoke every session for a user (password reset, account compromise)
+ * @param {number} userId - User whose sessions are revoked
+ * @param {object} [client] - Database client (for transactions)
+ */
+async function revokeAllSessions(userId, client = pool) {
+  await client.query('DELETE FROM sessions WHERE user_id = $1', [userId]);
 }
 
 /**
@@ -168,10 +554,25 @@ async function cleanupExpiredSessions() {
 module.exports = {
   generateToken,
   verifyToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  hashToken,
   authenticate,
   optionalAuth,
+  requireScope,
+  requireSession,
+  authorize,
+  requireVerifiedEmail,
+  getClientInfo,
   createSession,
+  rotateRefreshToken,
+  listSessions,
   revokeSession,
+  revokeUserSession,
+  revokeOtherSessions,
+  revokeAllSessions,
   cleanupExpiredSessions,
+  API_KEY_PREFIX,
+  MAX_TOKEN_LIFETIME_SECONDS,
   JWT_SECRET
 };
@@ -0,0 +1,197 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { authenticate, requireSession, authorize } = require('../middleware/auth');
+const { ROLES } = require('../config/permissions');
+const { recordAuditEvent } = require('../lib/audit');
+
+const router = express.Router();
+
+// Admin/support endpoints require a user session with the right role
+router.use(authenticate, requireSession);
+
+/**
+ * GET /api/admin/users
+ * List users (optionally filtered by email substring or role)
+ */
+router.get('/users', authorize('users:read'), async (req, res) => {
+  try {
+    const { email, role } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const conditions = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (email) {
+      conditions.push(`email ILIKE $${paramCount++}`);
+      values.push(`%${email}%`);
+    }
+
+    if (role) {
+      conditions.push(`role = $${paramCount++}`);
+      values.push(role);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    values.push(limit, offset);
+
+    const result = await pool.query(
+      `SELECT id, email, name, role, email_verified_at, created_at, last_login
+       FROM users ${where}
+       ORDER BY created_at DESC
+       LIMIT $${paramCount++} OFFSET $${paramCount}`,
+      values
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      users: result.rows
+    });
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list users',
+      code: 'ADMIN_ERROR'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/users/:id/role
+ * Change a user's role
+ */
+router.put('/users/:id/role', authorize('users:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Role must be one of: ${ROLES.join(', ')}`,
+        code: 'INVALID_ROLE'
+      });
+    }
+
+    if (id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot change your own role',
+        code: 'CANNOT_CHANGE_OWN_ROLE'
+      });
+    }
+
+    const result = await pool.query(
+      'UPDATE users SET role = $1, updated_at = NOW() WHERE id = $2 RETURNING id, email, name, role',
+      [role, id || 0]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    await recordAuditEvent('user.role_changed', { req, userId: id, details: { role } });
+
+    res.json({
+      success: true,
+      user: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Admin change role error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change role',
+      code: 'ADMIN_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/audit-events
+ * Query the security audit log
+ * Filters: user_id, actor_id, event_type (comma-separated), ip_address, since, until
+ */
+router.get('/audit-events', authorize('audit:read'), async (req, res) => {
+  try {
+    const { user_id, actor_id, event_type, ip_address, since, until } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    for (const [field, value] of Object.entries({ since, until })) {
+      if (value && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({
+          success: false,
+          error: `${field} must be an ISO 8601 date`,
+          code: 'VALIDATION_ERROR'
+        });
+      }
+    }
+
+    const conditions = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (user_id) {
+      conditions.push(`user_id = $${paramCount++}`);
+      values.push(parseInt(user_id, 10) || 0);
+    }
+
+    if (actor_id) {
+      conditions.push(`actor_id = $${paramCount++}`);
+      values.push(parseInt(actor_id, 10) || 0);
+    }
+
+    if (event_type) {
+      conditions.push(`event_type = ANY($${paramCount++})`);
+      values.push(String(event_type).split(',').map(type => type.trim()));
+    }
+
+    if (ip_address) {
+      conditions.push(`ip_address = $${paramCount++}`);
+      values.push(ip_address);
+    }
+
+    if (since) {
+      conditions.push(`created_at >= $${paramCount++}`);
+      values.push(new Date(since));
+    }
+
+    if (until) {
+      conditions.push(`created_at < $${paramCount++}`);
+      values.push(new Date(until));
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    values.push(limit, offset);
+
+    const result = await pool.query(
+      `SELECT id, user_id, actor_id, event_type, ip_address, user_agent, details, created_at
+       FROM audit_events ${where}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${paramCount++} OFFSET $${paramCount}`,
+      values
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      events: result.rows
+    });
+  } catch (error) {
+    console.error('Admin audit events error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to query audit events',
+      code: 'ADMIN_ERROR'
+    });
+  }
+});
+
+module.exports = router;
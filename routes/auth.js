@@ -1,10 +1,63 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const { pool } = require('../config/database');
-const { generateToken, createSession, revokeSession, authenticate } = require('../middleware/auth');
+const { pool, withTransaction } = require('../config/database');
+const {
+  getClientInfo,
+  createSession,
+  rotateRefreshToken,
+  listSessions,
+  revokeSession,
+  revokeUserSession,
+  revokeOtherSessions,
+  revokeAllSessions,
+  authenticate,
+  requireSession,
+  generateChallengeToken,
+  verifyChallengeToken
+} = require('../middleware/auth');
+const { issueUserToken, consumeUserToken } = require('../lib/tokens');
+const { verifySecondFactor } = require('../lib/two-factor');
+const { getLockRemaining, recordFailedLogin, resetFailedLogins } = require('../lib/lockout');
+const { startAuthentication, finishAuthentication } = require('../lib/passkeys');
+const { recordAuditEvent } = require('../lib/audit');
+const { sendMail } = require('../config/mailer');
+const { getProvider, verifyIdToken } = require('../config/oidc');
 
 const router = express.Router();
 
+const EMAIL_VERIFICATION_EXPIRES_MINUTES = 24 * 60;
+const PASSWORD_RESET_EXPIRES_MINUTES = 60;
+
+/**
+ * Respond with 423 for a temporarily locked account
+ */
+function sendAccountLocked(res, retryAfter) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(423).json({
+    success: false,
+    error: 'Account temporarily locked due to too many failed login attempts',
+    code: 'ACCOUNT_LOCKED',
+    retry_after: retryAfter
+  });
+}
+
+/**
+ * Issue verification token and email it to the user
+ */
+async function sendVerificationEmail(user) {
+  const token = await issueUserToken(user.id, 'email_verification', EMAIL_VERIFICATION_EXPIRES_MINUTES);
+  const appUrl = process.env.APP_URL || 'http://localhost:8080';
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Confirm your email address by opening this link:\n\n` +
+      `${appUrl}/verify-email?token=${token}\n\n` +
+      `Or enter this code in the app: ${token}\n\n` +
+      `The link expires in 24 hours. If you did not sign up, ignore this email.`
+  });
+}
+
 /**
  * POST /api/auth/signup
  * Create new user account
@@ -60,26 +113,33 @@ router.post('/signup', async (req, res) => {
 
     // Create user
     const result = await pool.query(
-      'INSERT INTO users (email, password_hash, name) VALUES ($1, $2, $3) RETURNING id, email, name, created_at',
+      'INSERT INTO users (email, password_hash, name) VALUES ($1, $2, $3) RETURNING id, email, name, role, email_verified_at, created_at',
       [email.toLowerCase(), passwordHash, name || null]
     );
 
     const user = result.rows[0];
 
-    // Generate JWT token
-    const token = generateToken(user);
+    // Send verification email (signup still succeeds if delivery fails)
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Create session and issue tokens
+    const tokens = await createSession(user, { clientInfo: getClientInfo(req) });
 
-    // Create session
-    const tokenData = JSON.parse(Buffer.from(token.split('.')[1], 'base64').toString());
-    await createSession(user.id, tokenData.jti);
+    await recordAuditEvent('auth.signup', { req, userId: user.id, actorId: user.id, details: { method: 'password' } });
 
     res.status(201).json({
       success: true,
-      token,
+      ...tokens,
       user: {
         id: user.id,
         email: user.email,
         name: user.name,
+        role: user.role,
+        email_verified_at: user.email_verified_at,
         created_at: user.created_at
       }
     });
@@ -112,11 +172,17 @@ router.post('/login', async (req, res) => {
 
     // Find user
     const result = await pool.query(
-      'SELECT id, email, password_hash, name, avatar_url, created_at FROM users WHERE email = $1',
+      'SELECT id, email, password_hash, name, avatar_url, role, email_verified_at, totp_enabled_at, locked_until, created_at FROM users WHERE email = $1',
       [email.toLowerCase()]
     );
 
     if (result.rows.length === 0) {
+      await recordAuditEvent('auth.login_failed', {
+        req,
+        userId: null,
+        details: { email: email.toLowerCase(), reason: 'unknown_email' }
+      });
+
       return res.status(401).json({
         success: false,
         error: 'Invalid email or password',
@@ -126,10 +192,27 @@ router.post('/login', async (req, res) => {
 
     const user = result.rows[0];
 
-    // Verify password
-    const isValidPassword = await bcrypt.compare(password, user.password_hash);
+    // Locked accounts are rejected before the password is even checked
+    const lockRemaining = getLockRemaining(user);
+    if (lockRemaining > 0) {
+      await recordAuditEvent('auth.login_failed', { req, userId: user.id, details: { reason: 'account_locked' } });
+      return sendAccountLocked(res, lockRemaining);
+    }
+
+    // Verify password (accounts created through social login may have none)
+    const isValidPassword = user.password_hash
+      ? await bcrypt.compare(password, user.password_hash)
+      : false;
 
     if (!isValidPassword) {
+      const lockSeconds = await recordFailedLogin(user.id, req.ip);
+      await recordAuditEvent('auth.login_failed', { req, userId: user.id, details: { reason: 'invalid_password' } });
+
+      if (lockSeconds > 0) {
+        await recordAuditEvent('account.locked', { req, userId: user.id, details: { lock_seconds: lockSeconds } });
+        return sendAccountLocked(res, lockSeconds);
+      }
+
       return res.status(401).json({
         success: false,
         error: 'Invalid email or password',
@@ -137,25 +220,35 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    // 2FA enabled - password alone only earns a challenge token
+    if (user.totp_enabled_at) {
+      return res.json({
+        success: true,
+        two_factor_required: true,
+        challenge_token: generateChallengeToken(user)
+      });
+    }
+
     // Update last login
     await pool.query(
       'UPDATE users SET last_login = NOW() WHERE id = $1',
       [user.id]
     );
+    await resetFailedLogins(user.id, 'login', req.ip);
 
-    // Generate JWT token
-    const token = generateToken(user);
+    // Create session and issue tokens
+    const tokens = await createSession(user, { clientInfo: getClientInfo(req) });
 
-    // Create session
-    const tokenData = JSON.parse(Buffer.from(token.split('.')[1], 'base64').toString());
-    await createSession(user.id, tokenData.jti);
+    await recordAuditEvent('auth.login', { req, userId: user.id, actorId: user.id, details: { method: 'password' } });
 
-    // Remove password_hash from response
+    // Remove password_hash, 2FA and lockout state from response
     delete user.password_hash;
+    delete user.totp_enabled_at;
+    delete user.locked_until;
 
     res.json({
       success: true,
-      token,
+      ...tokens,
       user
     });
   } catch (error) {
@@ -168,15 +261,379 @@ router.post('/login', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/login/2fa
+ * Complete login with challenge token plus TOTP or recovery code
+ */
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challenge_token, code, recovery_code } = req.body;
+
+    if (!challenge_token || (!code && !recovery_code)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Challenge token and code or recovery code are required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const challenge = verifyChallengeToken(challenge_token);
+
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired challenge token',
+        code: 'INVALID_CHALLENGE'
+      });
+    }
+
+    const result = await pool.query(
+      'SELECT id, email, name, avatar_url, role, email_verified_at, totp_secret, totp_enabled_at, locked_until, created_at FROM users WHERE id = $1',
+      [challenge.id]
+    );
+
+    if (result.rows.length === 0 || !result.rows[0].totp_enabled_at) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired challenge token',
+        code: 'INVALID_CHALLENGE'
+      });
+    }
+
+    const user = result.rows[0];
+
+    const lockRemaining = getLockRemaining(user);
+    if (lockRemaining > 0) {
+      await recordAuditEvent('auth.login_failed', { req, userId: user.id, details: { reason: 'account_locked' } });
+      return sendAccountLocked(res, lockRemaining);
+    }
+
+    const method = await verifySecondFactor(user, { code, recovery_code });
+
+    if (!method) {
+      const lockSeconds = await recordFailedLogin(user.id, req.ip);
+      await recordAuditEvent('auth.login_failed', { req, userId: user.id, details: { reason: 'invalid_two_factor_code' } });
+
+      if (lockSeconds > 0) {
+        await recordAuditEvent('account.locked', { req, userId: user.id, details: { lock_seconds: lockSeconds } });
+        return sendAccountLocked(res, lockSeconds);
+      }
+
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid two-factor code',
+        code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    // Update last login
+    await pool.query(
+      'UPDATE users SET last_login = NOW() WHERE id = $1',
+      [user.id]
+    );
+    await resetFailedLogins(user.id, 'login', req.ip);
+
+    // Create session and issue tokens
+    const tokens = await createSession(user, { clientInfo: getClientInfo(req) });
+
+    await recordAuditEvent('auth.login', {
+      req,
+      userId: user.id,
+      actorId: user.id,
+      details: { method: 'two_factor', second_factor: method }
+    });
+
+    // Remove 2FA and lockout state from response
+    delete user.totp_secret;
+    delete user.totp_enabled_at;
+    delete user.locked_until;
+
+    res.json({
+      success: true,
+      ...tokens,
+      user
+    });
+  } catch (error) {
+    console.error('2FA login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Login failed',
+      code: 'LOGIN_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/passkey/options
+ * Start passkey login ceremony (email optional for discoverable passkeys)
+ */
+router.post('/passkey/options', async (req, res) => {
+  try {
+    const { challenge_id, options } = await startAuthentication(req.body.email);
+
+    res.json({
+      success: true,
+      challenge_id,
+      options
+    });
+  } catch (error) {
+    console.error('Passkey options error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start passkey login',
+      code: 'PASSKEY_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/passkey/verify
+ * Verify passkey assertion and create session
+ */
+router.post('/passkey/verify', async (req, res) => {
+  try {
+    const { challenge_id, response } = req.body;
+
+    if (!challenge_id || !response) {
+      return res.status(400).json({
+        success: false,
+        error: 'Challenge ID and response are required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const userId = await finishAuthentication(challenge_id, response);
+
+    if (!userId) {
+      await recordAuditEvent('auth.login_failed', { req, userId: null, details: { reason: 'invalid_passkey' } });
+
+      return res.status(401).json({
+        success: false,
+        error: 'Passkey could not be verified',
+        code: 'PASSKEY_VERIFICATION_FAILED'
+      });
+    }
+
+    const result = await pool.query(
+      'SELECT id, email, name, avatar_url, role, email_verified_at, created_at FROM users WHERE id = $1',
+      [userId]
+    );
+
+    const user = result.rows[0];
+
+    // Update last login
+    await pool.query(
+      'UPDATE users SET last_login = NOW() WHERE id = $1',
+      [user.id]
+    );
+    await resetFailedLogins(user.id, 'login', req.ip);
+
+    // Create session and issue tokens (a passkey is already multi-factor)
+    const tokens = await createSession(user, { clientInfo: getClientInfo(req) });
+
+    await recordAuditEvent('auth.login', { req, userId: user.id, actorId: user.id, details: { method: 'passkey' } });
+
+    res.json({
+      success: true,
+      ...tokens,
+      user
+    });
+  } catch (error) {
+    console.error('Passkey login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Login failed',
+      code: 'LOGIN_ERROR'
+    });
+  }
+});
+
+/**
+ * Find user linked to an OIDC identity, linking or creating one if needed
+ * An existing account is only linked by email when both the provider and the
+ * account have verified it.
+ * @returns {Promise<object>} - { user, isNewUser }
+ */
+async function findOrCreateOidcUser(providerName, claims, name) {
+  return withTransaction(async (client) => {
+    const userFields = 'u.id, u.email, u.name, u.avatar_url, u.role, u.email_verified_at, u.totp_enabled_at, u.created_at';
+
+    const linked = await client.query(
+      `SELECT ${userFields} FROM user_identities i
+       JOIN users u ON u.id = i.user_id
+       WHERE i.provider = $1 AND i.subject = $2`,
+      [providerName, claims.sub]
+    );
+
+    if (linked.rows.length > 0) {
+      await client.query(
+        'UPDATE user_identities SET last_used_at = NOW() WHERE provider = $1 AND subject = $2',
+        [providerName, claims.sub]
+      );
+      return { user: linked.rows[0], isNewUser: false };
+    }
+
+    const email = claims.email ? claims.email.toLowerCase() : null;
+    // Apple sends email_verified as a string
+    const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+
+    if (!email) {
+      const error = new Error('Identity provider did not return an email address');
+      error.code = 'OIDC_EMAIL_REQUIRED';
+      throw error;
+    }
+
+    let user;
+    let isNewUser = false;
+
+    const existing = await client.query(
+      `SELECT ${userFields} FROM users u WHERE u.email = $1`,
+      [email]
+    );
+
+    if (existing.rows.length > 0) {
+      if (!emailVerified) {
+        const error = new Error('Email is already registered and not verified by the provider');
+        error.code = 'OIDC_EMAIL_NOT_VERIFIED';
+        throw error;
+      }
+
+      user = existing.rows[0];
+
+      // Whoever registered an unverified account may not own the address;
+      // linking it would let their password open the provider user's account
+      if (!user.email_verified_at) {
+        const error = new Error('An account with this email exists but is not verified - verify it or reset its password first');
+        error.code = 'ACCOUNT_EMAIL_NOT_VERIFIED';
+        throw error;
+      }
+    } else {
+      const created = await client.query(
+        `INSERT INTO users (email, password_hash, name, avatar_url, email_verified_at)
+         VALUES ($1, NULL, $2, $3, $4)
+         RETURNING id, email, name, avatar_url, role, email_verified_at, totp_enabled_at, created_at`,
+        [email, name || claims.name || null, claims.picture || null, emailVerified ? new Date() : null]
+      );
+
+      user = created.rows[0];
+      isNewUser = true;
+    }
+
+    await client.query(
+      'INSERT INTO user_identities (user_id, provider, subject, email, last_used_at) VALUES ($1, $2, $3, $4, NOW())',
+      [user.id, providerName, claims.sub, email]
+    );
+
+    return { user, isNewUser };
+  });
+}
+
+/**
+ * POST /api/auth/oidc/:provider
+ * Sign in with Google/Apple ID token (creates or links the account)
+ */
+router.post('/oidc/:provider', async (req, res) => {
+  try {
+    const { provider } = req.params;
+    const { id_token, nonce, name } = req.body;
+
+    if (!getProvider(provider)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unknown or disabled identity provider',
+        code: 'UNKNOWN_PROVIDER'
+      });
+    }
+
+    if (!id_token) {
+      return res.status(400).json({
+        success: false,
+        error: 'ID token is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const claims = await verifyIdToken(provider, id_token, nonce);
+
+    if (!claims) {
+      await recordAuditEvent('auth.login_failed', { req, userId: null, details: { reason: 'invalid_id_token', provider } });
+
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid ID token',
+        code: 'INVALID_ID_TOKEN'
+      });
+    }
+
+    let result;
+    try {
+      result = await findOrCreateOidcUser(provider, claims, name);
+    } catch (linkError) {
+      if (['OIDC_EMAIL_REQUIRED', 'OIDC_EMAIL_NOT_VERIFIED', 'ACCOUNT_EMAIL_NOT_VERIFIED'].includes(linkError.code)) {
+        return res.status(409).json({
+          success: false,
+          error: linkError.message,
+          code: linkError.code
+        });
+      }
+      throw linkError;
+    }
+
+    const { user, isNewUser } = result;
+
+    if (isNewUser) {
+      await recordAuditEvent('auth.signup', { req, userId: user.id, actorId: user.id, details: { method: 'oidc', provider } });
+    }
+
+    // 2FA enabled - same challenge as password login
+    if (user.totp_enabled_at) {
+      return res.json({
+        success: true,
+        two_factor_required: true,
+        challenge_token: generateChallengeToken(user)
+      });
+    }
+
+    // Update last login
+    await pool.query(
+      'UPDATE users SET last_login = NOW() WHERE id = $1',
+      [user.id]
+    );
+
+    // Create session and issue tokens
+    const tokens = await createSession(user, { clientInfo: getClientInfo(req) });
+
+    await recordAuditEvent('auth.login', { req, userId: user.id, actorId: user.id, details: { method: 'oidc', provider } });
+
+    delete user.totp_enabled_at;
+
+    res.status(isNewUser ? 201 : 200).json({
+      success: true,
+      ...tokens,
+      user,
+      is_new_user: isNewUser
+    });
+  } catch (error) {
+    console.error('OIDC login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Login failed',
+      code: 'LOGIN_ERROR'
+    });
+  }
+});
+
 /**
  * POST /api/auth/logout
  * Revoke current session
  */
-router.post('/logout', authenticate, async (req, res) => {
+router.post('/logout', authenticate, requireSession, async (req, res) => {
   try {
     // Revoke session
     await revokeSession(req.token.jti);
 
+    await recordAuditEvent('auth.logout', { req, details: { session_id: req.session.family_id } });
+
     res.json({
       success: true,
       message: 'Logged out successfully'
@@ -193,23 +650,47 @@ router.post('/logout', authenticate, async (req, res) => {
 
 /**
  * POST /api/auth/refresh
- * Refresh JWT token (extend session)
+ * Exchange refresh token for a new access/refresh token pair
  */
-router.post('/refresh', authenticate, async (req, res) => {
+router.post('/refresh', async (req, res) => {
   try {
-    // Revoke old session
-    await revokeSession(req.token.jti);
+    const { refresh_token } = req.body;
 
-    // Generate new token
-    const newToken = generateToken(req.user);
+    if (!refresh_token) {
+      return res.status(400).json({
+        success: false,
+        error: 'Refresh token is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const result = await rotateRefreshToken(refresh_token, getClientInfo(req));
+
+    if (result.error === 'REFRESH_TOKEN_REUSED') {
+      await recordAuditEvent('session.refresh_token_reused', {
+        req,
+        userId: result.userId,
+        details: { session_id: result.sessionId }
+      });
+
+      return res.status(401).json({
+        success: false,
+        error: 'Refresh token already used - session revoked',
+        code: 'REFRESH_TOKEN_REUSED'
+      });
+    }
 
-    // Create new session
-    const tokenData = JSON.parse(Buffer.from(newToken.split('.')[1], 'base64').toString());
-    await createSession(req.user.id, tokenData.jti);
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired refresh token',
+        code: 'INVALID_REFRESH_TOKEN'
+      });
+    }
 
     res.json({
       success: true,
-      token: newToken
+      ...result.tokens
     });
   } catch (error) {
     console.error('Refresh error:', error);
@@ -221,4 +702,298 @@ router.post('/refresh', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/auth/sessions
+ * List active sessions (signed-in devices) for current user
+ */
+router.get('/sessions', authenticate, requireSession, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.session.family_id
+      }))
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list sessions',
+      code: 'SESSIONS_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions
+ * Sign out everywhere else (keeps the current session)
+ */
+router.delete('/sessions', authenticate, requireSession, async (req, res) => {
+  try {
+    const revoked = await revokeOtherSessions(req.user.id, req.session.family_id);
+
+    await recordAuditEvent('session.revoked', { req, details: { scope: 'others', revoked } });
+
+    res.json({
+      success: true,
+      message: 'Signed out of all other sessions',
+      revoked
+    });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke sessions',
+      code: 'SESSIONS_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Sign out a specific session (e.g. a lost phone)
+ */
+router.delete('/sessions/:id', authenticate, requireSession, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+    if (!uuidRegex.test(id) || !(await revokeUserSession(req.user.id, id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    await recordAuditEvent('session.revoked', { req, details: { session_id: id } });
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke session',
+      code: 'SESSIONS_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/verify-email
+ * Confirm email address with token from verification email
+ */
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification token is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const userId = await consumeUserToken(token, 'email_verification');
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired verification token',
+        code: 'INVALID_VERIFICATION_TOKEN'
+      });
+    }
+
+    await pool.query(
+      'UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = $1',
+      [userId]
+    );
+
+    await recordAuditEvent('email.verified', { req, userId, actorId: userId });
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Email verification failed',
+      code: 'VERIFY_EMAIL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/verify-email/resend
+ * Send a new verification email to the current user
+ */
+router.post('/verify-email/resend', authenticate, requireSession, async (req, res) => {
+  try {
+    if (req.user.email_verified_at) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email already verified',
+        code: 'ALREADY_VERIFIED'
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send verification email',
+      code: 'RESEND_VERIFICATION_ERROR'
+    });
+  }
+});
+
+/**
+ * Issue a password reset token and email it to the user
+ */
+async function sendPasswordReset(req, user) {
+  await recordAuditEvent('password.reset_requested', { req, userId: user.id, actorId: null });
+
+  const token = await issueUserToken(user.id, 'password_reset', PASSWORD_RESET_EXPIRES_MINUTES);
+  const appUrl = process.env.APP_URL || 'http://localhost:8080';
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Reset your password by opening this link:\n\n` +
+      `${appUrl}/reset-password?token=${token}\n\n` +
+      `Or enter this code in the app: ${token}\n\n` +
+      `The link expires in 1 hour. If you did not request a reset, ignore this email.`
+  });
+}
+
+/**
+ * POST /api/auth/forgot-password
+ * Email a password reset link (response never reveals if the email exists)
+ */
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const result = await pool.query(
+      'SELECT id, email FROM users WHERE email = $1',
+      [email.toLowerCase()]
+    );
+
+    // Respond before issuing the token and sending mail, so response time
+    // does not reveal whether the email is registered
+    res.json({
+      success: true,
+      message: 'If that email is registered, a reset link has been sent'
+    });
+
+    if (result.rows.length > 0) {
+      sendPasswordReset(req, result.rows[0])
+        .catch(resetError => console.error('Password reset email error:', resetError));
+    }
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to request password reset',
+      code: 'FORGOT_PASSWORD_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Set new password with reset token and sign out every session
+ */
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, new_password } = req.body;
+
+    if (!token || !new_password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Token and new password are required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    // Password strength validation
+    if (new_password.length < 8) {
+      return res.status(400).json({
+        success: false,
+        error: 'New password must be at least 8 characters',
+        code: 'WEAK_PASSWORD'
+      });
+    }
+
+    const passwordHash = await bcrypt.hash(new_password, 10);
+
+    const userId = await withTransaction(async (client) => {
+      const resetUserId = await consumeUserToken(token, 'password_reset', client);
+
+      if (!resetUserId) {
+        return null;
+      }
+
+      // Completing a reset proves ownership of the mailbox
+      await client.query(
+        'UPDATE users SET password_hash = $1, email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW() WHERE id = $2',
+        [passwordHash, resetUserId]
+      );
+
+      await revokeAllSessions(resetUserId, client);
+
+      return resetUserId;
+    });
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired reset token',
+        code: 'INVALID_RESET_TOKEN'
+      });
+    }
+
+    // Proving mailbox ownership also lifts a brute-force lockout
+    await resetFailedLogins(userId, 'password_reset', req.ip);
+
+    await recordAuditEvent('password.reset', { req, userId, actorId: userId });
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully - please log in again'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset password',
+      code: 'RESET_PASSWORD_ERROR'
+    });
+  }
+});
+
 module.exports = router;
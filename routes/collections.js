@@ -0,0 +1,457 @@
+const express = require('express');
+const { pool, withTransaction } = require('../config/database');
+const { authenticate, requireScope } = require('../middleware/auth');
+const { readableItemsScope, filterReadableItemIds } = require('../lib/item-access');
+
+const router = express.Router();
+
+const MAX_COLLECTION_NAME_LENGTH = 100;
+const MAX_BULK_ITEMS = 500;
+
+router.use(authenticate);
+
+/**
+ * Load collection owned by the user
+ * @returns {Promise<object|null>}
+ */
+async function findCollection(id, userId) {
+  const result = await pool.query(
+    'SELECT id, name, description, created_at, updated_at FROM collections WHERE id = $1 AND user_id = $2',
+    [parseInt(id, 10) || 0, userId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Items of a collection the user can see (not trashed and still readable), in order
+ * Collections can also hold items that were trashed or unshared since they were added.
+ * @param {object} client - Query client
+ * @param {string} [columns] - Columns to return (default: item columns, position and added_at)
+ */
+async function findVisibleItems(client, user, collectionId, columns) {
+  const scope = readableItemsScope(user);
+
+  return client.query(
+    `SELECT ${columns || `${scope.columns}, ci.position, ci.added_at`}
+     FROM collection_items ci
+     JOIN items ON items.id = ci.item_id
+     WHERE ci.collection_id = $${scope.values.length + 1} AND items.deleted_at IS NULL AND ${scope.conditions.join(' AND ')}
+     ORDER BY ci.position, ci.added_at`,
+    [...scope.values, collectionId]
+  );
+}
+
+/**
+ * Send 404 for a missing collection
+ */
+function sendCollectionNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Collection not found',
+    code: 'NOT_FOUND'
+  });
+}
+
+/**
+ * GET /api/collections
+ * List current user's collections
+ */
+router.get('/', requireScope('items:read'), async (req, res) => {
+  try {
+    // Counts the same items GET /:id shows: not trashed and still readable
+    const scope = readableItemsScope(req.user);
+
+    const result = await pool.query(
+      `SELECT c.id, c.name, c.description, c.created_at, c.updated_at,
+              (SELECT COUNT(*)::int
+               FROM collection_items ci
+               JOIN items ON items.id = ci.item_id
+               WHERE ci.collection_id = c.id AND items.deleted_at IS NULL AND ${scope.conditions.join(' AND ')}) AS item_count
+       FROM collections c
+       WHERE c.user_id = $1
+       ORDER BY LOWER(c.name)`,
+      scope.values
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      collections: result.rows
+    });
+  } catch (error) {
+    console.error('List collections error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list collections',
+      code: 'COLLECTIONS_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/collections
+ * Create collection
+ */
+router.post('/', requireScope('items:write'), async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_COLLECTION_NAME_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Name must be 1-${MAX_COLLECTION_NAME_LENGTH} characters`,
+        code: 'MISSING_NAME'
+      });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO collections (user_id, name, description) VALUES ($1, $2, $3)
+       RETURNING id, name, description, created_at, updated_at`,
+      [req.user.id, name.trim(), description || null]
+    );
+
+    res.status(201).json({
+      success: true,
+      collection: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Create collection error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create collection',
+      code: 'COLLECTIONS_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/collections/:id
+ * Get collection with its items in order
+ * Items the user can no longer read (unshared, trashed) are left out.
+ */
+router.get('/:id', requireScope('items:read'), async (req, res) => {
+  try {
+    const collection = await findCollection(req.params.id, req.user.id);
+
+    if (!collection) {
+      return sendCollectionNotFound(res);
+    }
+
+    const result = await findVisibleItems(pool, req.user, collection.id);
+
+    res.json({
+      success: true,
+      collection: {
+        ...collection,
+        item_count: result.rows.length,
+        items: result.rows
+      }
+    });
+  } catch (error) {
+    console.error('Get collection error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get collection',
+      code: 'COLLECTIONS_ERROR'
+    });
+  }
+});
+
+/**
+ * PUT /api/collections/:id
+ * Rename collection or change its description
+ */
+router.put('/:id', requireScope('items:write'), async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_COLLECTION_NAME_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          error: `Name must be 1-${MAX_COLLECTION_NAME_LENGTH} characters`,
+          code: 'MISSING_NAME'
+        });
+      }
+
+      updates.push(`name = $${paramCount++}`);
+      values.push(name.trim());
+    }
+
+    if (description !== undefined) {
+      updates.push(`description = $${paramCount++}`);
+      values.push(description);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No fields to update',
+        code: 'NO_UPDATES'
+      });
+    }
+
+    values.push(parseInt(req.params.id, 10) || 0, req.user.id);
+
+    const result = await pool.query(
+      `UPDATE collections SET ${updates.join(', ')}, updated_at = NOW()
+       WHERE id = $${paramCount++} AND user_id = $${paramCount}
+       RETURNING id, name, description, created_at, updated_at`,
+      values
+    );
+
+    if (result.rows.length === 0) {
+      return sendCollectionNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      collection: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Update collection error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update collection',
+      code: 'COLLECTIONS_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/collections/:id
+ * Delete collection (the items themselves are kept)
+ */
+router.delete('/:id', requireScope('items:write'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM collections WHERE id = $1 AND user_id = $2',
+      [parseInt(req.params.id, 10) || 0, req.user.id]
+    );
+
+    if (result.rowCount === 0) {
+      return sendCollectionNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Collection deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete collection error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete collection',
+      code: 'COLLECTIONS_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/collections/:id/items
+ * Add items ({ item_ids }) to the end of the collection
+ * Items already in the collection keep their position.
+ */
+router.post('/:id/items', requireScope('items:write'), async (req, res) => {
+  try {
+    const { item_ids: itemIds } = req.body;
+
+    if (!Array.isArray(itemIds) || itemIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'item_ids is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    if (itemIds.length > MAX_BULK_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        error: `At most ${MAX_BULK_ITEMS} items per request`,
+        code: 'TOO_MANY_ITEMS'
+      });
+    }
+
+    const ids = [...new Set(itemIds.map(Number))];
+    const readableIds = await filterReadableItemIds(req.user, ids.filter(Number.isInteger));
+    const missing = ids.filter(id => !readableIds.includes(id));
+
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Some items were not found',
+        code: 'NOT_FOUND',
+        item_ids: missing
+      });
+    }
+
+    const added = await withTransaction(async (client) => {
+      const collection = await client.query(
+        'SELECT id FROM collections WHERE id = $1 AND user_id = $2 FOR UPDATE',
+        [parseInt(req.params.id, 10) || 0, req.user.id]
+      );
+
+      if (collection.rows.length === 0) {
+        return null;
+      }
+
+      // Keep the order the items were given in
+      const orderedIds = ids.filter(id => readableIds.includes(id));
+
+      const result = await client.query(
+        `INSERT INTO collection_items (collection_id, item_id, position)
+         SELECT $1, item_id,
+                (SELECT COALESCE(MAX(position), 0) FROM collection_items WHERE collection_id = $1) + ordinality
+         FROM UNNEST($2::int[]) WITH ORDINALITY AS new_items(item_id, ordinality)
+         ON CONFLICT (collection_id, item_id) DO NOTHING`,
+        [collection.rows[0].id, orderedIds]
+      );
+
+      await client.query('UPDATE collections SET updated_at = NOW() WHERE id = $1', [collection.rows[0].id]);
+
+      return result.rowCount;
+    });
+
+    if (added === null) {
+      return sendCollectionNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      added
+    });
+  } catch (error) {
+    console.error('Add collection items error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add items to collection',
+      code: 'COLLECTIONS_ERROR'
+    });
+  }
+});
+
+/**
+ * PUT /api/collections/:id/items/order
+ * Reorder collection ({ item_ids } lists every item in the new order)
+ */
+router.put('/:id/items/order', requireScope('items:write'), async (req, res) => {
+  try {
+    const { item_ids: itemIds } = req.body;
+
+    if (!Array.isArray(itemIds)) {
+      return res.status(400).json({
+        success: false,
+        error: 'item_ids is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const ids = itemIds.map(Number);
+
+    const result = await withTransaction(async (client) => {
+      const collection = await client.query(
+        'SELECT id FROM collections WHERE id = $1 AND user_id = $2 FOR UPDATE',
+        [parseInt(req.params.id, 10) || 0, req.user.id]
+      );
+
+      if (collection.rows.length === 0) {
+        return { notFound: true };
+      }
+
+      const collectionId = collection.rows[0].id;
+
+      // The new order covers the items GET /:id shows
+      const visible = await findVisibleItems(client, req.user, collectionId, 'ci.item_id, ci.position');
+
+      const visibleIds = visible.rows.map(row => row.item_id);
+      const sameSet = ids.length === visibleIds.length && new Set(ids).size === ids.length &&
+        ids.every(id => visibleIds.includes(id));
+
+      if (!sameSet) {
+        return { mismatch: true };
+      }
+
+      // Visible items trade the positions they already hold, so hidden
+      // (trashed or unshared) items keep theirs
+      await client.query(
+        `UPDATE collection_items ci SET position = new_order.position
+         FROM UNNEST($2::int[], $3::int[]) AS new_order(item_id, position)
+         WHERE ci.collection_id = $1 AND ci.item_id = new_order.item_id`,
+        [collectionId, ids, visible.rows.map(row => row.position)]
+      );
+
+      await client.query('UPDATE collections SET updated_at = NOW() WHERE id = $1', [collectionId]);
+
+      return {};
+    });
+
+    if (result.notFound) {
+      return sendCollectionNotFound(res);
+    }
+
+    if (result.mismatch) {
+      return res.status(400).json({
+        success: false,
+        error: 'item_ids must list every item shown in the collection exactly once',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Collection reordered successfully'
+    });
+  } catch (error) {
+    console.error('Reorder collection error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reorder collection',
+      code: 'COLLECTIONS_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/collections/:id/items/:itemId
+ * Remove item from collection
+ */
+router.delete('/:id/items/:itemId', requireScope('items:write'), async (req, res) => {
+  try {
+    const collection = await findCollection(req.params.id, req.user.id);
+
+    if (!collection) {
+      return sendCollectionNotFound(res);
+    }
+
+    const result = await pool.query(
+      'DELETE FROM collection_items WHERE collection_id = $1 AND item_id = $2',
+      [collection.id, parseInt(req.params.itemId, 10) || 0]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Item is not in this collection',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Item removed from collection'
+    });
+  } catch (error) {
+    console.error('Remove collection item error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove item from collection',
+      code: 'COLLECTIONS_ERROR'
+    });
+  }
+});
+
+module.exports = router;
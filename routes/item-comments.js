@@ -0,0 +1,370 @@
+const express = require('express');
+const { pool, withTransaction } = require('../config/database');
+const { authenticate, optionalAuth, requireScope, requireVerifiedEmail } = require('../middleware/auth');
+const { canPerform, authorizeItem } = require('../lib/item-access');
+const {
+  toPublicComment,
+  validateCommentBody,
+  parseCommentListParams,
+  listComments,
+  getComment,
+  resolveMentions,
+  saveMentions,
+  notifyMentions
+} = require('../lib/item-comments');
+
+// Mounted at /api/items/:id/comments. Anyone who can read an item can read
+// its comments; the owner and collaborators can post. Authors edit their own
+// comments, and the item owner can also delete them. Anonymous callers get
+// comments without user ids.
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Load the parent item and check access, sending 404/403 if it fails
+ * Reading needs read access; writing also needs to be the owner or a
+ * collaborator, so public items do not take comments from everyone.
+ * @param {object} [options]
+ * @param {boolean} [options.write] - Check access for posting or editing
+ * @returns {Promise<object|null>} - { item, access }, or null once a response was sent
+ */
+async function authorizeCommentItem(req, res, { write = false } = {}) {
+  const { item, access, allowed, collaborator } = await authorizeItem(req.params.id, req.user, 'read');
+
+  if (!item) {
+    res.status(404).json({
+      success: false,
+      error: 'Item not found',
+      code: 'NOT_FOUND'
+    });
+    return null;
+  }
+
+  if (!allowed) {
+    res.status(403).json({
+      success: false,
+      error: 'Access denied',
+      code: 'FORBIDDEN'
+    });
+    return null;
+  }
+
+  if (write && !collaborator && !canPerform(access, req.user, 'update')) {
+    res.status(403).json({
+      success: false,
+      error: 'Only the owner and collaborators can comment on this item',
+      code: 'FORBIDDEN'
+    });
+    return null;
+  }
+
+  return { item, access };
+}
+
+/**
+ * Send 404 for a missing comment
+ */
+function sendCommentNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Comment not found',
+    code: 'NOT_FOUND'
+  });
+}
+
+/**
+ * GET /api/items/:id/comments
+ * List comments on an item, oldest first (cursor-paginated: limit, cursor)
+ */
+router.get('/', optionalAuth, requireScope('items:read'), async (req, res) => {
+  try {
+    const { params, error, code } = parseCommentListParams(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+        code
+      });
+    }
+
+    const parent = await authorizeCommentItem(req, res);
+    if (!parent) {
+      return;
+    }
+
+    const page = await listComments(parent.item.id, params);
+
+    res.json({
+      success: true,
+      count: page.comments.length,
+      comments: req.user ? page.comments : page.comments.map(toPublicComment),
+      next_cursor: page.next_cursor,
+      has_more: page.has_more
+    });
+  } catch (error) {
+    console.error('List comments error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list comments',
+      code: 'COMMENTS_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/items/:id/comments
+ * Comment on an item; mentioned owner and collaborators are notified
+ */
+router.post('/', authenticate, requireScope('items:write'), requireVerifiedEmail, async (req, res) => {
+  try {
+    const { body } = req.body;
+
+    const invalid = validateCommentBody(body);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const parent = await authorizeCommentItem(req, res, { write: true });
+    if (!parent) {
+      return;
+    }
+
+    const { item } = parent;
+
+    const { comment, mentioned } = await withTransaction(async (client) => {
+      const inserted = await client.query(
+        'INSERT INTO item_comments (item_id, user_id, body) VALUES ($1, $2, $3) RETURNING id',
+        [item.id, req.user.id, body]
+      );
+      const commentId = inserted.rows[0].id;
+
+      const users = await resolveMentions(client, item, body);
+      await saveMentions(client, commentId, users);
+
+      return { comment: await getComment(client, item.id, commentId), mentioned: users };
+    });
+
+    res.status(201).json({
+      success: true,
+      comment
+    });
+
+    notifyMentions(req.user, item, mentioned)
+      .catch(mailError => console.error('Mention notification error:', mailError));
+  } catch (error) {
+    console.error('Create comment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create comment',
+      code: 'COMMENTS_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/items/:id/comments/:commentId
+ * Get single comment
+ */
+router.get('/:commentId', optionalAuth, requireScope('items:read'), async (req, res) => {
+  try {
+    const parent = await authorizeCommentItem(req, res);
+    if (!parent) {
+      return;
+    }
+
+    const comment = await getComment(pool, parent.item.id, req.params.commentId);
+
+    if (!comment) {
+      return sendCommentNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      comment: req.user ? comment : toPublicComment(comment)
+    });
+  } catch (error) {
+    console.error('Get comment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get comment',
+      code: 'COMMENTS_ERROR'
+    });
+  }
+});
+
+/**
+ * PUT /api/items/:id/comments/:commentId
+ * Edit own comment; the previous text is kept in the edit history
+ */
+router.put('/:commentId', authenticate, requireScope('items:write'), async (req, res) => {
+  try {
+    const { body } = req.body;
+
+    const invalid = validateCommentBody(body);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const parent = await authorizeCommentItem(req, res, { write: true });
+    if (!parent) {
+      return;
+    }
+
+    const { item } = parent;
+
+    const result = await withTransaction(async (client) => {
+      const current = await getComment(client, item.id, req.params.commentId, { lock: true });
+
+      if (!current) {
+        return null;
+      }
+
+      if (current.author_id !== req.user.id) {
+        return { forbidden: true };
+      }
+
+      // Saving the same text is not an edit
+      if (current.body === body) {
+        return { comment: current, mentioned: [] };
+      }
+
+      await client.query(
+        'INSERT INTO item_comment_edits (comment_id, body) VALUES ($1, $2)',
+        [current.id, current.body]
+      );
+
+      await client.query(
+        'UPDATE item_comments SET body = $1, edited_at = NOW() WHERE id = $2',
+        [body, current.id]
+      );
+
+      // Only users mentioned for the first time are notified
+      const users = await resolveMentions(client, item, body);
+      const newlyMentioned = await saveMentions(client, current.id, users);
+
+      return {
+        comment: await getComment(client, item.id, current.id),
+        mentioned: users.filter(user => newlyMentioned.includes(user.id))
+      };
+    });
+
+    if (!result) {
+      return sendCommentNotFound(res);
+    }
+
+    if (result.forbidden) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only edit your own comments',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    res.json({
+      success: true,
+      comment: result.comment
+    });
+
+    notifyMentions(req.user, item, result.mentioned)
+      .catch(mailError => console.error('Mention notification error:', mailError));
+  } catch (error) {
+    console.error('Update comment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update comment',
+      code: 'COMMENTS_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/items/:id/comments/:commentId
+ * Delete comment (its author, or anyone who can delete the item)
+ */
+router.delete('/:commentId', authenticate, requireScope('items:write'), async (req, res) => {
+  try {
+    const parent = await authorizeCommentItem(req, res);
+    if (!parent) {
+      return;
+    }
+
+    const comment = await getComment(pool, parent.item.id, req.params.commentId);
+
+    if (!comment) {
+      return sendCommentNotFound(res);
+    }
+
+    if (comment.author_id !== req.user.id && !canPerform(parent.access, req.user, 'delete')) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only delete your own comments',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    await pool.query('DELETE FROM item_comments WHERE id = $1', [comment.id]);
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete comment',
+      code: 'COMMENTS_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/items/:id/comments/:commentId/edits
+ * Edit history of a comment: earlier versions of the text, newest first
+ */
+router.get('/:commentId/edits', optionalAuth, requireScope('items:read'), async (req, res) => {
+  try {
+    const parent = await authorizeCommentItem(req, res);
+    if (!parent) {
+      return;
+    }
+
+    const comment = await getComment(pool, parent.item.id, req.params.commentId);
+
+    if (!comment) {
+      return sendCommentNotFound(res);
+    }
+
+    const result = await pool.query(
+      `SELECT body, edited_at AS replaced_at
+       FROM item_comment_edits
+       WHERE comment_id = $1
+       ORDER BY id DESC`,
+      [comment.id]
+    );
+
+    res.json({
+      success: true,
+      comment: req.user ? comment : toPublicComment(comment),
+      count: result.rows.length,
+      edits: result.rows
+    });
+  } catch (error) {
+    console.error('List comment edits error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list comment edits',
+      code: 'COMMENTS_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,294 @@
+const express = require('express');
+const { pool, withTransaction } = require('../config/database');
+const { authenticate, requireScope, requireSession, authorize } = require('../middleware/auth');
+const { ITEM_TYPE_KEY_PATTERN, compileSchema, getItemType } = require('../lib/item-types');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * Send 404 for an unknown item type
+ */
+function sendItemTypeNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Item type not found',
+    code: 'NOT_FOUND'
+  });
+}
+
+/**
+ * GET /api/item-types
+ * List item types with their current schema version
+ */
+router.get('/', requireScope('items:read'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT t.key, t.name, t.description, t.current_version, t.created_at, t.updated_at, v.schema
+       FROM item_types t
+       JOIN item_type_versions v ON v.item_type = t.key AND v.version = t.current_version
+       ORDER BY t.key`
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      item_types: result.rows
+    });
+  } catch (error) {
+    console.error('List item types error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list item types',
+      code: 'ITEM_TYPES_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/item-types/:key
+ * Get item type with its current schema (or ?version=n)
+ */
+router.get('/:key', requireScope('items:read'), async (req, res) => {
+  try {
+    const version = req.query.version !== undefined ? parseInt(req.query.version, 10) || 0 : null;
+    const itemType = await getItemType(req.params.key, { version });
+
+    if (!itemType) {
+      return sendItemTypeNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      item_type: itemType
+    });
+  } catch (error) {
+    console.error('Get item type error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get item type',
+      code: 'ITEM_TYPES_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/item-types/:key/versions
+ * Schema history of an item type, newest first
+ */
+router.get('/:key/versions', requireScope('items:read'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT v.version, v.schema, v.created_by, v.created_at,
+              (SELECT COUNT(*)::int FROM items
+               WHERE items.item_type = v.item_type AND items.item_type_version = v.version) AS item_count
+       FROM item_type_versions v
+       WHERE v.item_type = $1
+       ORDER BY v.version DESC`,
+      [req.params.key]
+    );
+
+    if (result.rows.length === 0) {
+      return sendItemTypeNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      versions: result.rows
+    });
+  } catch (error) {
+    console.error('List item type versions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list item type versions',
+      code: 'ITEM_TYPES_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/item-types
+ * Register item type with its first schema version (admin)
+ */
+router.post('/', requireSession, authorize('item_types:manage'), async (req, res) => {
+  try {
+    const { key, name, description, schema } = req.body;
+
+    if (typeof key !== 'string' || !ITEM_TYPE_KEY_PATTERN.test(key) || !name) {
+      return res.status(400).json({
+        success: false,
+        error: 'key (lowercase letters, digits, - and _; up to 50 characters) and name are required',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { error } = compileSchema(schema);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+        code: 'INVALID_SCHEMA'
+      });
+    }
+
+    const itemType = await withTransaction(async (client) => {
+      const created = await client.query(
+        `INSERT INTO item_types (key, name, description, created_by) VALUES ($1, $2, $3, $4)
+         ON CONFLICT (key) DO NOTHING
+         RETURNING key`,
+        [key, name, description || null, req.user.id]
+      );
+
+      if (created.rows.length === 0) {
+        return null;
+      }
+
+      await client.query(
+        'INSERT INTO item_type_versions (item_type, version, schema, created_by) VALUES ($1, 1, $2, $3)',
+        [key, schema, req.user.id]
+      );
+
+      return getItemType(key, { client });
+    });
+
+    if (!itemType) {
+      return res.status(409).json({
+        success: false,
+        error: 'An item type with this key already exists',
+        code: 'ITEM_TYPE_EXISTS'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      item_type: itemType
+    });
+  } catch (error) {
+    console.error('Create item type error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create item type',
+      code: 'ITEM_TYPES_ERROR'
+    });
+  }
+});
+
+/**
+ * PUT /api/item-types/:key
+ * Update name/description; a new schema is added as the next version (admin)
+ * Existing items keep the version they were validated against.
+ */
+router.put('/:key', requireSession, authorize('item_types:manage'), async (req, res) => {
+  try {
+    const { name, description, schema } = req.body;
+
+    if (name === undefined && description === undefined && schema === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'No fields to update',
+        code: 'NO_UPDATES'
+      });
+    }
+
+    if (schema !== undefined) {
+      const { error } = compileSchema(schema);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error,
+          code: 'INVALID_SCHEMA'
+        });
+      }
+    }
+
+    const itemType = await withTransaction(async (client) => {
+      const current = await client.query(
+        'SELECT key, current_version FROM item_types WHERE key = $1 FOR UPDATE',
+        [req.params.key]
+      );
+
+      if (current.rows.length === 0) {
+        return null;
+      }
+
+      let version = current.rows[0].current_version;
+
+      if (schema !== undefined) {
+        version += 1;
+        await client.query(
+          'INSERT INTO item_type_versions (item_type, version, schema, created_by) VALUES ($1, $2, $3, $4)',
+          [req.params.key, version, schema, req.user.id]
+        );
+      }
+
+      await client.query(
+        `UPDATE item_types
+         SET name = COALESCE($1, name), description = COALESCE($2, description),
+             current_version = $3, updated_at = NOW()
+         WHERE key = $4`,
+        [name || null, description === undefined ? null : description, version, req.params.key]
+      );
+
+      return getItemType(req.params.key, { client });
+    });
+
+    if (!itemType) {
+      return sendItemTypeNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      item_type: itemType
+    });
+  } catch (error) {
+    console.error('Update item type error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update item type',
+      code: 'ITEM_TYPES_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/item-types/:key
+ * Delete item type that no item uses (admin)
+ */
+router.delete('/:key', requireSession, authorize('item_types:manage'), async (req, res) => {
+  try {
+    const inUse = await pool.query(
+      'SELECT COUNT(*)::int AS count FROM items WHERE item_type = $1',
+      [req.params.key]
+    );
+
+    if (inUse.rows[0].count > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Item type is used by ${inUse.rows[0].count} item(s)`,
+        code: 'ITEM_TYPE_IN_USE'
+      });
+    }
+
+    const result = await pool.query('DELETE FROM item_types WHERE key = $1', [req.params.key]);
+
+    if (result.rowCount === 0) {
+      return sendItemTypeNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Item type deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete item type error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete item type',
+      code: 'ITEM_TYPES_ERROR'
+    });
+  }
+});
+
+module.exports = router;
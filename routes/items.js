@@ -1,34 +1,70 @@
 const express = require('express');
-const { pool } = require('../config/database');
-const { authenticate, optionalAuth } = require('../middleware/auth');
-const { uploadToSpaces, deleteFromSpaces } = require('../config/spaces');
+const { pool, withTransaction } = require('../config/database');
+const { authenticate, optionalAuth, requireScope, requireVerifiedEmail } = require('../middleware/auth');
+const { uploadToSpaces } = require('../config/spaces');
+const { sendMail } = require('../config/mailer');
+const { ITEM_COLUMNS, parseItemListParams, listItems } = require('../lib/item-list');
+const { buildPrefixQuery, searchItems } = require('../lib/item-search');
+const { SHARE_ROLES, toPublicItem, authorizeItem, readableItemsScope } = require('../lib/item-access');
+const { createItem, updateItem, trashItem, untrashItem } = require('../lib/item-mutations');
+const { itemETag, ifNoneMatchMatches } = require('../lib/item-etag');
+const { MAX_BATCH_SIZE, validateBatch, runBatch } = require('../lib/item-batch');
+const { TRASH_RETENTION_DAYS } = require('../lib/item-purge');
+const { EXPORT_FORMATS, streamItemExport } = require('../lib/item-export');
+const { parseImportRequest, runImport } = require('../lib/item-import');
 
 const router = express.Router();
 
+/**
+ * Send a failed createItem/updateItem/trashItem result
+ * A failed If-Match precondition includes the current item so the client can merge;
+ * invalid metadata includes field-level errors.
+ */
+function sendMutationError(res, result) {
+  if (result.code === 'PRECONDITION_FAILED') {
+    res.set('ETag', itemETag(result.item, result.access));
+    return res.status(412).json({
+      success: false,
+      error: result.error,
+      code: result.code,
+      item: result.item,
+      access: result.access
+    });
+  }
+
+  return res.status(result.status).json({
+    success: false,
+    error: result.error,
+    code: result.code,
+    ...(result.errors && { errors: result.errors })
+  });
+}
+
 /**
  * GET /api/items
- * Get all items (public) or user's items if authenticated
+ * List public items, or the user's own and shared items if authenticated
+ * Cursor-paginated: limit, cursor, sort, name and date range filters
  */
-router.get('/', optionalAuth, async (req, res) => {
+router.get('/', optionalAuth, requireScope('items:read'), async (req, res) => {
   try {
-    let query, params;
+    const { params, error, code } = parseItemListParams(req.query, { userId: req.user && req.user.id });
 
-    if (req.user) {
-      // Get only user's items if authenticated
-      query = 'SELECT * FROM items WHERE user_id = $1 ORDER BY created_at DESC';
-      params = [req.user.id];
-    } else {
-      // Get public items (could add a is_public column)
-      query = 'SELECT id, name, description, created_at FROM items ORDER BY created_at DESC LIMIT 10';
-      params = [];
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+        code
+      });
     }
 
-    const result = await pool.query(query, params);
+    const page = await listItems(readableItemsScope(req.user), params);
 
     res.json({
       success: true,
-      count: result.rows.length,
-      items: result.rows
+      count: page.items.length,
+      items: page.items,
+      next_cursor: page.next_cursor,
+      has_more: page.has_more
     });
   } catch (error) {
     console.error('Get items error:', error);
@@ -40,20 +76,138 @@ router.get('/', optionalAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/items/search?q=
+ * Full-text search (prefix matching, ranked, with highlighted snippets)
+ * Searches the same items GET /api/items lists for the caller
+ */
+router.get('/search', optionalAuth, requireScope('items:read'), async (req, res) => {
+  try {
+    const tsquery = req.query.q ? buildPrefixQuery(req.query.q) : null;
+
+    if (!tsquery) {
+      return res.status(400).json({
+        success: false,
+        error: 'Search query q is required',
+        code: 'MISSING_QUERY'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const items = await searchItems(readableItemsScope(req.user), {
+      tsquery,
+      limit,
+      offset,
+      includeMetadata: Boolean(req.user)
+    });
+
+    res.json({
+      success: true,
+      count: items.length,
+      items
+    });
+  } catch (error) {
+    console.error('Search items error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search items',
+      code: 'SEARCH_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/items/trash
+ * List own trashed items (cursor-paginated, newest deletion first)
+ */
+router.get('/trash', authenticate, requireScope('items:read'), async (req, res) => {
+  try {
+    const { params, error, code } = parseItemListParams(req.query, { trash: true, userId: req.user.id });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+        code
+      });
+    }
+
+    const page = await listItems({
+      columns: `${ITEM_COLUMNS}, deleted_at + make_interval(days => ${TRASH_RETENTION_DAYS}) AS purge_at`,
+      conditions: ['user_id = $1'],
+      values: [req.user.id],
+      trashed: true
+    }, params);
+
+    res.json({
+      success: true,
+      count: page.items.length,
+      items: page.items,
+      next_cursor: page.next_cursor,
+      has_more: page.has_more,
+      retention_days: TRASH_RETENTION_DAYS
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get trash',
+      code: 'ITEMS_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/items/export
+ * Download own items (not in the trash) as ?format=csv, json or ndjson
+ * Rows are streamed from a database cursor as they are read.
+ */
+router.get('/export', authenticate, requireScope('items:read'), async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+
+    if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+      return res.status(400).json({
+        success: false,
+        error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    await streamItemExport(res, req.user.id, format);
+  } catch (error) {
+    // A client leaving mid-download is not a server error
+    if (error.code === 'EXPORT_CLOSED') {
+      return;
+    }
+
+    console.error('Export items error:', error);
+
+    // Once the download has started the only way to signal failure is to cut it short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export items',
+      code: 'EXPORT_ERROR'
+    });
+  }
+});
+
 /**
  * GET /api/items/:id
  * Get single item by ID
  */
-router.get('/:id', optionalAuth, async (req, res) => {
+router.get('/:id', optionalAuth, requireScope('items:read'), async (req, res) => {
   try {
-    const { id } = req.params;
+    // Owner, collaborator, public item, or role grants access
+    const { item, access, allowed } = await authorizeItem(req.params.id, req.user, 'read');
 
-    const result = await pool.query(
-      'SELECT * FROM items WHERE id = $1',
-      [id]
-    );
-
-    if (result.rows.length === 0) {
+    if (!item) {
       return res.status(404).json({
         success: false,
         error: 'Item not found',
@@ -61,10 +215,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
       });
     }
 
-    const item = result.rows[0];
-
-    // Check if user owns this item or if it's public
-    if (item.user_id && (!req.user || item.user_id !== req.user.id)) {
+    if (!allowed) {
       return res.status(403).json({
         success: false,
         error: 'Access denied',
@@ -72,9 +223,18 @@ router.get('/:id', optionalAuth, async (req, res) => {
       });
     }
 
+    const etag = itemETag(item, access, { anonymous: !req.user });
+    res.set('ETag', etag);
+
+    if (ifNoneMatchMatches(req.get('If-None-Match'), etag)) {
+      return res.status(304).end();
+    }
+
+    // Anonymous callers get the same columns as in listings and search
     res.json({
       success: true,
-      item
+      item: req.user ? item : toPublicItem(item),
+      access
     });
   } catch (error) {
     console.error('Get item error:', error);
@@ -90,26 +250,18 @@ router.get('/:id', optionalAuth, async (req, res) => {
  * POST /api/items
  * Create new item (requires authentication)
  */
-router.post('/', authenticate, async (req, res) => {
+router.post('/', authenticate, requireScope('items:write'), requireVerifiedEmail, async (req, res) => {
   try {
-    const { name, description, metadata } = req.body;
+    const result = await withTransaction(client => createItem(client, req.user, req.body));
 
-    if (!name) {
-      return res.status(400).json({
-        success: false,
-        error: 'Name is required',
-        code: 'MISSING_NAME'
-      });
+    if (result.error) {
+      return sendMutationError(res, result);
     }
 
-    const result = await pool.query(
-      'INSERT INTO items (name, description, user_id, metadata) VALUES ($1, $2, $3, $4) RETURNING *',
-      [name, description || null, req.user.id, metadata || {}]
-    );
-
+    res.set('ETag', itemETag(result.item, result.access));
     res.status(201).json({
       success: true,
-      item: result.rows[0]
+      item: result.item
     });
   } catch (error) {
     console.error('Create item error:', error);
@@ -122,74 +274,116 @@ router.post('/', authenticate, async (req, res) => {
 });
 
 /**
- * PUT /api/items/:id
- * Update item (requires authentication and ownership)
+ * POST /api/items/batch
+ * Create, update and delete items in one transaction
+ * Operations run in order with the same checks as the single-item endpoints.
+ * With atomic: true the first failure rolls back the whole batch.
  */
-router.put('/:id', authenticate, async (req, res) => {
+router.post('/batch', authenticate, requireScope('items:write'), requireVerifiedEmail, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { name, description, metadata } = req.body;
+    const { operations, atomic = false } = req.body;
 
-    // Check ownership
-    const checkResult = await pool.query(
-      'SELECT user_id FROM items WHERE id = $1',
-      [id]
-    );
-
-    if (checkResult.rows.length === 0) {
-      return res.status(404).json({
+    const invalid = validateBatch(operations);
+    if (invalid) {
+      return res.status(400).json({
         success: false,
-        error: 'Item not found',
-        code: 'NOT_FOUND'
+        error: invalid,
+        code: 'VALIDATION_ERROR'
       });
     }
 
-    if (checkResult.rows[0].user_id !== req.user.id) {
-      return res.status(403).json({
+    if (operations.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({
         success: false,
-        error: 'Access denied - you do not own this item',
-        code: 'FORBIDDEN'
+        error: `At most ${MAX_BATCH_SIZE} operations per batch`,
+        code: 'BATCH_TOO_LARGE'
       });
     }
 
-    // Build update query dynamically
-    const updates = [];
-    const values = [];
-    let paramCount = 1;
+    const { results, failedIndex } = await runBatch(req.user, operations, { atomic: atomic === true });
 
-    if (name !== undefined) {
-      updates.push(`name = $${paramCount++}`);
-      values.push(name);
+    if (failedIndex !== null) {
+      return res.status(409).json({
+        success: false,
+        error: `Operation ${failedIndex} failed - no changes were made`,
+        code: 'BATCH_FAILED',
+        failed_index: failedIndex,
+        results
+      });
     }
 
-    if (description !== undefined) {
-      updates.push(`description = $${paramCount++}`);
-      values.push(description);
-    }
+    res.json({
+      success: true,
+      succeeded: results.filter(result => result.success).length,
+      failed: results.filter(result => !result.success).length,
+      results
+    });
+  } catch (error) {
+    console.error('Batch items error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run batch',
+      code: 'BATCH_ERROR'
+    });
+  }
+});
 
-    if (metadata !== undefined) {
-      updates.push(`metadata = $${paramCount++}`);
-      values.push(metadata);
-    }
+/**
+ * POST /api/items/import
+ * Import items from CSV, JSON or NDJSON with an optional column mapping
+ * Rows whose external_id matches one of the user's items update it; other rows
+ * create items. Each row succeeds or fails on its own and failures are reported
+ * by row number. With dry_run: true nothing is saved and a preview is returned.
+ */
+router.post('/import', authenticate, requireScope('items:write'), requireVerifiedEmail, async (req, res) => {
+  try {
+    const { records, mapping, dryRun, error, code } = parseImportRequest(req.body);
 
-    if (updates.length === 0) {
+    if (error) {
       return res.status(400).json({
         success: false,
-        error: 'No fields to update',
-        code: 'NO_UPDATES'
+        error,
+        code
       });
     }
 
-    values.push(id);
+    const result = await runImport(req.user, records, mapping, { dryRun });
 
-    const result = await pool.query(
-      `UPDATE items SET ${updates.join(', ')}, updated_at = NOW() WHERE id = $${paramCount} RETURNING *`,
-      values
-    );
+    res.json({
+      success: true,
+      dry_run: dryRun,
+      ...result
+    });
+  } catch (error) {
+    console.error('Import items error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import items',
+      code: 'IMPORT_ERROR'
+    });
+  }
+});
 
+/**
+ * PUT /api/items/:id
+ * Update item (requires owner or editor access; visibility is owner-only)
+ */
+router.put('/:id', authenticate, requireScope('items:write'), async (req, res) => {
+  try {
+    // Owners and editors may update; visibility is owner only.
+    // With If-Match the update only applies to the version the client has.
+    const result = await withTransaction(client => updateItem(client, req.user, req.params.id, req.body, {
+      ifMatch: req.get('If-Match')
+    }));
+
+    if (result.error) {
+      return sendMutationError(res, result);
+    }
+
+    res.set('ETag', itemETag(result.item, result.access));
     res.json({
       success: true,
-      item: result.rows[0]
+      item: result.item
     });
   } catch (error) {
     console.error('Update item error:', error);
@@ -202,20 +396,69 @@ router.put('/:id', authenticate, async (req, res) => {
 });
 
 /**
- * DELETE /api/items/:id
- * Delete item (requires authentication and ownership)
+ * GET /api/items/:id/revisions
+ * Change history, newest first (the owner and collaborators only: snapshots
+ * can hold values that were removed before the item was made public)
  */
-router.delete('/:id', authenticate, async (req, res) => {
+router.get('/:id/revisions', authenticate, requireScope('items:read'), async (req, res) => {
   try {
-    const { id } = req.params;
+    const { item, allowed } = await authorizeItem(req.params.id, req.user, 'collaborate');
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: 'Item not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
 
-    // Check ownership
-    const checkResult = await pool.query(
-      'SELECT user_id FROM items WHERE id = $1',
-      [id]
+    const result = await pool.query(
+      `SELECT r.revision, r.action, r.changes, r.snapshot, r.restored_from, r.created_at,
+              r.user_id AS author_id, u.name AS author_name, u.email AS author_email
+       FROM item_revisions r
+       LEFT JOIN users u ON u.id = r.user_id
+       WHERE r.item_id = $1
+       ORDER BY r.revision DESC
+       LIMIT $2 OFFSET $3`,
+      [item.id, limit, offset]
     );
 
-    if (checkResult.rows.length === 0) {
+    res.json({
+      success: true,
+      count: result.rows.length,
+      revisions: result.rows
+    });
+  } catch (error) {
+    console.error('List revisions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list revisions',
+      code: 'REVISIONS_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/items/:id/revisions/:rev/restore
+ * Restore name, description and metadata from a revision
+ * The restore itself is recorded as a new revision, so it can be undone too.
+ */
+router.post('/:id/revisions/:rev/restore', authenticate, requireScope('items:write'), async (req, res) => {
+  try {
+    const { item, allowed } = await authorizeItem(req.params.id, req.user, 'update');
+
+    if (!item) {
       return res.status(404).json({
         success: false,
         error: 'Item not found',
@@ -223,37 +466,82 @@ router.delete('/:id', authenticate, async (req, res) => {
       });
     }
 
-    if (checkResult.rows[0].user_id !== req.user.id) {
+    if (!allowed) {
       return res.status(403).json({
         success: false,
-        error: 'Access denied - you do not own this item',
+        error: 'Access denied - you cannot edit this item',
         code: 'FORBIDDEN'
       });
     }
 
-    // Delete associated uploads from Spaces
-    const uploads = await pool.query(
-      'SELECT file_url, filename FROM uploads WHERE item_id = $1',
-      [id]
-    );
+    const rev = parseInt(req.params.rev, 10) || 0;
+
+    // Restoring is an update of the tracked fields: it is checked against the
+    // item type schema and If-Match like PUT /api/items/:id
+    const result = await withTransaction(async (client) => {
+      const revisionResult = await client.query(
+        'SELECT snapshot FROM item_revisions WHERE item_id = $1 AND revision = $2',
+        [item.id, rev]
+      );
 
-    for (const upload of uploads.rows) {
-      try {
-        // Extract key from file_url
-        const url = new URL(upload.file_url);
-        const key = url.pathname.substring(1); // Remove leading /
-        await deleteFromSpaces(key);
-      } catch (err) {
-        console.error('Error deleting file from Spaces:', err);
+      if (revisionResult.rows.length === 0) {
+        return { status: 404, error: 'Revision not found', code: 'NOT_FOUND' };
       }
+
+      const { snapshot } = revisionResult.rows[0];
+
+      return updateItem(client, req.user, item.id, {
+        name: snapshot.name,
+        description: snapshot.description,
+        metadata: snapshot.metadata
+      }, {
+        ifMatch: req.get('If-Match'),
+        action: 'restore',
+        restoredFrom: rev
+      });
+    });
+
+    if (result.error) {
+      return sendMutationError(res, result);
     }
 
-    // Delete item (cascades to uploads)
-    await pool.query('DELETE FROM items WHERE id = $1', [id]);
+    res.set('ETag', itemETag(result.item, result.access));
+    res.json({
+      success: true,
+      item: result.item,
+      revision: result.revision
+    });
+  } catch (error) {
+    console.error('Restore revision error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore revision',
+      code: 'RESTORE_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/items/:id
+ * Move item to the trash (requires ownership)
+ * Trashed items are purged with their files after TRASH_RETENTION_DAYS.
+ */
+router.delete('/:id', authenticate, requireScope('items:write'), async (req, res) => {
+  try {
+    // Only the owner (or a role with items:delete:any) may delete
+    const result = await withTransaction(client => trashItem(client, req.user, req.params.id, {
+      ifMatch: req.get('If-Match')
+    }));
+
+    if (result.error) {
+      return sendMutationError(res, result);
+    }
 
     res.json({
       success: true,
-      message: 'Item deleted successfully'
+      message: 'Item moved to trash',
+      deleted_at: result.item.deleted_at,
+      purge_at: result.purgeAt
     });
   } catch (error) {
     console.error('Delete item error:', error);
@@ -265,14 +553,42 @@ router.delete('/:id', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/items/:id/restore
+ * Restore item from the trash
+ */
+router.post('/:id/restore', authenticate, requireScope('items:write'), async (req, res) => {
+  try {
+    const result = await withTransaction(client => untrashItem(client, req.user, req.params.id, {
+      ifMatch: req.get('If-Match')
+    }));
+
+    if (result.error) {
+      return sendMutationError(res, result);
+    }
+
+    res.set('ETag', itemETag(result.item, result.access));
+    res.json({
+      success: true,
+      item: result.item
+    });
+  } catch (error) {
+    console.error('Restore item error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore item',
+      code: 'RESTORE_ERROR'
+    });
+  }
+});
+
 /**
  * POST /api/items/:id/upload
  * Upload file to Spaces and associate with item
  * Note: This is a simplified version. For production, use multer or similar
  */
-router.post('/:id/upload', authenticate, async (req, res) => {
+router.post('/:id/upload', authenticate, requireScope('items:write'), requireVerifiedEmail, async (req, res) => {
   try {
-    const { id } = req.params;
     const { filename, content, contentType } = req.body;
 
     if (!filename || !content) {
@@ -283,13 +599,10 @@ router.post('/:id/upload', authenticate, async (req, res) => {
       });
     }
 
-    // Check ownership
-    const checkResult = await pool.query(
-      'SELECT user_id FROM items WHERE id = $1',
-      [id]
-    );
+    // Owners and editors may attach files
+    const { item, allowed } = await authorizeItem(req.params.id, req.user, 'update');
 
-    if (checkResult.rows.length === 0) {
+    if (!item) {
       return res.status(404).json({
         success: false,
         error: 'Item not found',
@@ -297,7 +610,7 @@ router.post('/:id/upload', authenticate, async (req, res) => {
       });
     }
 
-    if (checkResult.rows[0].user_id !== req.user.id) {
+    if (!allowed) {
       return res.status(403).json({
         success: false,
         error: 'Access denied',
@@ -307,7 +620,7 @@ router.post('/:id/upload', authenticate, async (req, res) => {
 
     // Upload to Spaces
     const buffer = Buffer.from(content, 'base64');
-    const key = `items/${id}/${Date.now()}-${filename}`;
+    const key = `items/${item.id}/${Date.now()}-${filename}`;
     const fileUrl = await uploadToSpaces(
       key,
       buffer,
@@ -317,7 +630,7 @@ router.post('/:id/upload', authenticate, async (req, res) => {
     // Save upload record
     const result = await pool.query(
       'INSERT INTO uploads (user_id, item_id, filename, file_url, file_size, content_type) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
-      [req.user.id, id, filename, fileUrl, buffer.length, contentType]
+      [req.user.id, item.id, filename, fileUrl, buffer.length, contentType]
     );
 
     res.json({
@@ -338,17 +651,11 @@ router.post('/:id/upload', authenticate, async (req, res) => {
  * GET /api/items/:id/uploads
  * Get all uploads for an item
  */
-router.get('/:id/uploads', authenticate, async (req, res) => {
+router.get('/:id/uploads', authenticate, requireScope('items:read'), async (req, res) => {
   try {
-    const { id } = req.params;
-
-    // Check ownership
-    const checkResult = await pool.query(
-      'SELECT user_id FROM items WHERE id = $1',
-      [id]
-    );
+    const { item, allowed } = await authorizeItem(req.params.id, req.user, 'read');
 
-    if (checkResult.rows.length === 0) {
+    if (!item) {
       return res.status(404).json({
         success: false,
         error: 'Item not found',
@@ -356,7 +663,7 @@ router.get('/:id/uploads', authenticate, async (req, res) => {
       });
     }
 
-    if (checkResult.rows[0].user_id !== req.user.id) {
+    if (!allowed) {
       return res.status(403).json({
         success: false,
         error: 'Access denied',
@@ -366,7 +673,7 @@ router.get('/:id/uploads', authenticate, async (req, res) => {
 
     const result = await pool.query(
       'SELECT * FROM uploads WHERE item_id = $1 ORDER BY created_at DESC',
-      [id]
+      [item.id]
     );
 
     res.json({
@@ -384,4 +691,223 @@ router.get('/:id/uploads', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/items/:id/shares
+ * List collaborators (the owner and collaborators only, not every reader of a public item)
+ */
+router.get('/:id/shares', authenticate, requireScope('items:read'), async (req, res) => {
+  try {
+    const { item, allowed } = await authorizeItem(req.params.id, req.user, 'collaborate');
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: 'Item not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    const result = await pool.query(
+      `SELECT s.user_id, u.email, u.name, s.role, s.created_at
+       FROM item_shares s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.item_id = $1
+       ORDER BY s.created_at`,
+      [item.id]
+    );
+
+    res.json({
+      success: true,
+      visibility: item.visibility,
+      count: result.rows.length,
+      shares: result.rows
+    });
+  } catch (error) {
+    console.error('List shares error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list collaborators',
+      code: 'SHARES_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/items/:id/shares
+ * Invite collaborator by email as viewer or editor (owner only)
+ * Re-inviting an existing collaborator changes their role.
+ * A private item becomes shared once it has a collaborator.
+ */
+router.post('/:id/shares', authenticate, requireScope('items:write'), async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    if (!email || !role) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email and role are required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    if (!SHARE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Role must be one of: ${SHARE_ROLES.join(', ')}`,
+        code: 'INVALID_ROLE'
+      });
+    }
+
+    const { item, allowed } = await authorizeItem(req.params.id, req.user, 'share');
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: 'Item not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the owner can share this item',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    const userResult = await pool.query(
+      'SELECT id, email, name FROM users WHERE email = $1',
+      [String(email).toLowerCase()]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No user with that email address',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const collaborator = userResult.rows[0];
+
+    if (collaborator.id === item.user_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'The owner already has full access',
+        code: 'CANNOT_SHARE_WITH_OWNER'
+      });
+    }
+
+    const share = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO item_shares (item_id, user_id, role, invited_by)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (item_id, user_id) DO UPDATE SET role = EXCLUDED.role
+         RETURNING user_id, role, created_at`,
+        [item.id, collaborator.id, role, req.user.id]
+      );
+
+      await client.query(
+        "UPDATE items SET visibility = 'shared' WHERE id = $1 AND visibility = 'private'",
+        [item.id]
+      );
+
+      return result.rows[0];
+    });
+
+    // Notify collaborator (sharing still succeeds if delivery fails)
+    try {
+      const appUrl = process.env.APP_URL || 'http://localhost:8080';
+
+      await sendMail({
+        to: collaborator.email,
+        subject: `${req.user.name || req.user.email} shared "${item.name}" with you`,
+        text: `${req.user.name || req.user.email} gave you ${role} access to "${item.name}".\n\n` +
+          `${appUrl}/items/${item.id}`
+      });
+    } catch (mailError) {
+      console.error('Share notification email error:', mailError);
+    }
+
+    res.status(201).json({
+      success: true,
+      share: {
+        ...share,
+        email: collaborator.email,
+        name: collaborator.name
+      }
+    });
+  } catch (error) {
+    console.error('Share item error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to share item',
+      code: 'SHARES_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/items/:id/shares/:userId
+ * Remove collaborator (owner), or leave a shared item (the collaborator)
+ */
+router.delete('/:id/shares/:userId', authenticate, requireScope('items:write'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId, 10);
+    const leaving = userId === req.user.id;
+
+    const { item, allowed } = await authorizeItem(req.params.id, req.user, leaving ? 'read' : 'share');
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: 'Item not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (!allowed && !leaving) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the owner can remove collaborators',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    const result = await pool.query(
+      'DELETE FROM item_shares WHERE item_id = $1 AND user_id = $2',
+      [item.id, userId || 0]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Collaborator not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: leaving ? 'You left the shared item' : 'Collaborator removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove share error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove collaborator',
+      code: 'SHARES_ERROR'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,89 @@
+const express = require('express');
+const { authenticate, requireScope, requireVerifiedEmail } = require('../middleware/auth');
+const { MAX_SYNC_MUTATIONS, parseSyncParams, getChanges, validateMutations, applyMutation } = require('../lib/item-sync');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * GET /api/sync?since=<token>
+ * Items created, updated and deleted since the token (own items)
+ * Without a token returns everything; keep calling with sync_token while has_more.
+ */
+router.get('/', requireScope('items:read'), async (req, res) => {
+  try {
+    const { params, error, code } = parseSyncParams(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+        code
+      });
+    }
+
+    const changes = await getChanges(req.user.id, params);
+
+    res.json({
+      success: true,
+      ...changes
+    });
+  } catch (error) {
+    console.error('Sync error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get changes',
+      code: 'SYNC_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/sync
+ * Apply a batch of offline mutations in order
+ * Each mutation succeeds or fails on its own; see results[] for conflicts.
+ */
+router.post('/', requireScope('items:write'), requireVerifiedEmail, async (req, res) => {
+  try {
+    const { mutations } = req.body;
+
+    const invalid = validateMutations(mutations);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    if (mutations.length > MAX_SYNC_MUTATIONS) {
+      return res.status(400).json({
+        success: false,
+        error: `At most ${MAX_SYNC_MUTATIONS} mutations per request`,
+        code: 'TOO_MANY_MUTATIONS'
+      });
+    }
+
+    const results = [];
+    for (const mutation of mutations) {
+      results.push(await applyMutation(req.user, mutation));
+    }
+
+    res.json({
+      success: true,
+      applied: results.filter(result => result.status === 'applied').length,
+      conflicts: results.filter(result => result.status === 'conflict').length,
+      results
+    });
+  } catch (error) {
+    console.error('Sync mutations error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to apply mutations',
+      code: 'SYNC_ERROR'
+    });
+  }
+});
+
+module.exports = router;
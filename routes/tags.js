@@ -0,0 +1,325 @@
+const express = require('express');
+const { pool, withTransaction } = require('../config/database');
+const { authenticate, requireScope } = require('../middleware/auth');
+const { filterReadableItemIds } = require('../lib/item-access');
+const { MAX_TAG_LENGTH, normalizeTagName, findOrCreateTags } = require('../lib/tags');
+
+const router = express.Router();
+
+const MAX_BULK_ITEMS = 500;
+
+router.use(authenticate);
+
+/**
+ * Send 400 for an invalid tag name
+ */
+function sendInvalidTagName(res) {
+  return res.status(400).json({
+    success: false,
+    error: `Tag name must be 1-${MAX_TAG_LENGTH} characters`,
+    code: 'INVALID_TAG_NAME'
+  });
+}
+
+/**
+ * GET /api/tags
+ * List current user's tags with the number of (non-trashed) items using each
+ */
+router.get('/', requireScope('items:read'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT t.id, t.name, t.created_at,
+              COUNT(i.id)::int AS item_count
+       FROM tags t
+       LEFT JOIN item_tags it ON it.tag_id = t.id
+       LEFT JOIN items i ON i.id = it.item_id AND i.deleted_at IS NULL
+       WHERE t.user_id = $1
+       GROUP BY t.id
+       ORDER BY LOWER(t.name)`,
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      tags: result.rows
+    });
+  } catch (error) {
+    console.error('List tags error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list tags',
+      code: 'TAGS_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/tags
+ * Create tag
+ */
+router.post('/', requireScope('items:write'), async (req, res) => {
+  try {
+    const name = normalizeTagName(req.body.name);
+
+    if (!name) {
+      return sendInvalidTagName(res);
+    }
+
+    const result = await pool.query(
+      `INSERT INTO tags (user_id, name) VALUES ($1, $2)
+       ON CONFLICT (user_id, LOWER(name)) DO NOTHING
+       RETURNING id, name, created_at`,
+      [req.user.id, name]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'A tag with this name already exists',
+        code: 'TAG_EXISTS'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      tag: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Create tag error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create tag',
+      code: 'TAGS_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/tags/assign
+ * Bulk add/remove tags (by name) on items the user can read
+ * Tags named in "add" are created if they do not exist yet.
+ */
+router.post('/assign', requireScope('items:write'), async (req, res) => {
+  try {
+    const { item_ids: itemIds, add = [], remove = [] } = req.body;
+
+    if (!Array.isArray(itemIds) || itemIds.length === 0 || !Array.isArray(add) || !Array.isArray(remove) ||
+        (add.length === 0 && remove.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'item_ids and at least one tag in add or remove are required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    if (itemIds.length > MAX_BULK_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        error: `At most ${MAX_BULK_ITEMS} items per request`,
+        code: 'TOO_MANY_ITEMS'
+      });
+    }
+
+    const addNames = add.map(normalizeTagName);
+    const removeNames = remove.map(normalizeTagName);
+
+    if (addNames.includes(null) || removeNames.includes(null)) {
+      return sendInvalidTagName(res);
+    }
+
+    const ids = [...new Set(itemIds.map(Number))];
+    const readableIds = await filterReadableItemIds(req.user, ids.filter(Number.isInteger));
+    const missing = ids.filter(id => !readableIds.includes(id));
+
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Some items were not found',
+        code: 'NOT_FOUND',
+        item_ids: missing
+      });
+    }
+
+    const counts = await withTransaction(async (client) => {
+      const tagsToAdd = await findOrCreateTags(client, req.user.id, addNames);
+
+      const added = await client.query(
+        `INSERT INTO item_tags (item_id, tag_id)
+         SELECT item_id, tag_id FROM UNNEST($1::int[]) AS item_id, UNNEST($2::int[]) AS tag_id
+         ON CONFLICT DO NOTHING`,
+        [readableIds, tagsToAdd.map(tag => tag.id)]
+      );
+
+      const removed = await client.query(
+        `DELETE FROM item_tags it USING tags t
+         WHERE t.id = it.tag_id AND t.user_id = $1 AND LOWER(t.name) = ANY($2) AND it.item_id = ANY($3)`,
+        [req.user.id, removeNames.map(name => name.toLowerCase()), readableIds]
+      );
+
+      return { added: added.rowCount, removed: removed.rowCount };
+    });
+
+    res.json({
+      success: true,
+      ...counts
+    });
+  } catch (error) {
+    console.error('Assign tags error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to assign tags',
+      code: 'TAGS_ERROR'
+    });
+  }
+});
+
+/**
+ * PUT /api/tags/:id
+ * Rename tag (use POST /api/tags/:id/merge to combine with an existing tag)
+ */
+router.put('/:id', requireScope('items:write'), async (req, res) => {
+  try {
+    const name = normalizeTagName(req.body.name);
+
+    if (!name) {
+      return sendInvalidTagName(res);
+    }
+
+    const conflict = await pool.query(
+      'SELECT id FROM tags WHERE user_id = $1 AND LOWER(name) = LOWER($2) AND id <> $3',
+      [req.user.id, name, parseInt(req.params.id, 10) || 0]
+    );
+
+    if (conflict.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'A tag with this name already exists - merge the tags instead',
+        code: 'TAG_EXISTS',
+        existing_tag_id: conflict.rows[0].id
+      });
+    }
+
+    const result = await pool.query(
+      'UPDATE tags SET name = $1 WHERE id = $2 AND user_id = $3 RETURNING id, name, created_at',
+      [name, parseInt(req.params.id, 10) || 0, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tag not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      tag: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Rename tag error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rename tag',
+      code: 'TAGS_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/tags/:id/merge
+ * Merge tag into another one ({ into_tag_id }) - items keep the target tag
+ */
+router.post('/:id/merge', requireScope('items:write'), async (req, res) => {
+  try {
+    const sourceId = parseInt(req.params.id, 10) || 0;
+    const targetId = parseInt(req.body.into_tag_id, 10) || 0;
+
+    if (!targetId || targetId === sourceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'into_tag_id must be another tag',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const target = await withTransaction(async (client) => {
+      const tags = await client.query(
+        'SELECT id, name, created_at FROM tags WHERE id = ANY($1) AND user_id = $2 FOR UPDATE',
+        [[sourceId, targetId], req.user.id]
+      );
+
+      if (tags.rows.length !== 2) {
+        return null;
+      }
+
+      await client.query(
+        `INSERT INTO item_tags (item_id, tag_id)
+         SELECT item_id, $2 FROM item_tags WHERE tag_id = $1
+         ON CONFLICT DO NOTHING`,
+        [sourceId, targetId]
+      );
+
+      // Cascades to the source tag's item_tags
+      await client.query('DELETE FROM tags WHERE id = $1', [sourceId]);
+
+      return tags.rows.find(tag => tag.id === targetId);
+    });
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tag not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      tag: target
+    });
+  } catch (error) {
+    console.error('Merge tags error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to merge tags',
+      code: 'TAGS_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/tags/:id
+ * Delete tag (removes it from all items)
+ */
+router.delete('/:id', requireScope('items:write'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM tags WHERE id = $1 AND user_id = $2',
+      [parseInt(req.params.id, 10) || 0, req.user.id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tag not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tag deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete tag',
+      code: 'TAGS_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,13 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const { pool } = require('../config/database');
-const { authenticate } = require('../middleware/auth');
+const { pool, withTransaction } = require('../config/database');
+const { authenticate, requireScope, requireSession } = require('../middleware/auth');
+const { API_KEY_SCOPES, generateApiKey, findInvalidScopes } = require('../lib/api-keys');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../lib/totp');
+const { generateRecoveryCodes, verifySecondFactor } = require('../lib/two-factor');
+const { startRegistration, finishRegistration } = require('../lib/passkeys');
+const { recordAuditEvent } = require('../lib/audit');
+const { ITEM_COLUMNS, itemTagsColumn, parseItemListParams, listItems } = require('../lib/item-list');
 
 const router = express.Router();
 
@@ -9,7 +15,7 @@ const router = express.Router();
  * GET /api/users/me
  * Get current user profile
  */
-router.get('/me', authenticate, async (req, res) => {
+router.get('/me', authenticate, requireScope('profile:read'), async (req, res) => {
   try {
     res.json({
       success: true,
@@ -29,7 +35,7 @@ router.get('/me', authenticate, async (req, res) => {
  * PUT /api/users/me
  * Update current user profile
  */
-router.put('/me', authenticate, async (req, res) => {
+router.put('/me', authenticate, requireScope('profile:write'), async (req, res) => {
   try {
     const { name, avatar_url } = req.body;
     const updates = [];
@@ -57,10 +63,15 @@ router.put('/me', authenticate, async (req, res) => {
     values.push(req.user.id);
 
     const result = await pool.query(
-      `UPDATE users SET ${updates.join(', ')}, updated_at = NOW() WHERE id = $${paramCount} RETURNING id, email, name, avatar_url, created_at, updated_at`,
+      `UPDATE users SET ${updates.join(', ')}, updated_at = NOW() WHERE id = $${paramCount} RETURNING id, email, name, avatar_url, role, email_verified_at, created_at, updated_at`,
       values
     );
 
+    await recordAuditEvent('profile.updated', {
+      req,
+      details: { fields: Object.keys(req.body).filter(field => ['name', 'avatar_url'].includes(field)) }
+    });
+
     res.json({
       success: true,
       user: result.rows[0]
@@ -79,14 +90,14 @@ router.put('/me', authenticate, async (req, res) => {
  * PUT /api/users/me/password
  * Change user password
  */
-router.put('/me/password', authenticate, async (req, res) => {
+router.put('/me/password', authenticate, requireSession, async (req, res) => {
   try {
     const { current_password, new_password } = req.body;
 
-    if (!current_password || !new_password) {
+    if (!new_password) {
       return res.status(400).json({
         success: false,
-        error: 'Current and new password are required',
+        error: 'New password is required',
         code: 'MISSING_FIELDS'
       });
     }
@@ -106,15 +117,28 @@ router.put('/me/password', authenticate, async (req, res) => {
       [req.user.id]
     );
 
-    // Verify current password
-    const isValid = await bcrypt.compare(current_password, result.rows[0].password_hash);
+    const { password_hash: passwordHash } = result.rows[0];
 
-    if (!isValid) {
-      return res.status(401).json({
-        success: false,
-        error: 'Current password is incorrect',
-        code: 'INVALID_PASSWORD'
-      });
+    // Accounts created through social login can set a first password without one
+    if (passwordHash) {
+      if (!current_password) {
+        return res.status(400).json({
+          success: false,
+          error: 'Current and new password are required',
+          code: 'MISSING_FIELDS'
+        });
+      }
+
+      // Verify current password
+      const isValid = await bcrypt.compare(current_password, passwordHash);
+
+      if (!isValid) {
+        return res.status(401).json({
+          success: false,
+          error: 'Current password is incorrect',
+          code: 'INVALID_PASSWORD'
+        });
+      }
     }
 
     // Hash new password
@@ -126,6 +150,8 @@ router.put('/me/password', authenticate, async (req, res) => {
       [newHash, req.user.id]
     );
 
+    await recordAuditEvent(passwordHash ? 'password.changed' : 'password.set', { req });
+
     res.json({
       success: true,
       message: 'Password updated successfully'
@@ -141,20 +167,609 @@ router.put('/me/password', authenticate, async (req, res) => {
 });
 
 /**
- * GET /api/users/me/items
- * Get all items owned by current user
+ * GET /api/users/me/2fa
+ * Get two-factor authentication status
+ */
+router.get('/me/2fa', authenticate, requireSession, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT u.totp_enabled_at,
+              (SELECT COUNT(*) FROM user_recovery_codes c WHERE c.user_id = u.id AND c.used_at IS NULL)::int AS recovery_codes_remaining
+       FROM users u WHERE u.id = $1`,
+      [req.user.id]
+    );
+
+    const status = result.rows[0];
+
+    res.json({
+      success: true,
+      enabled: Boolean(status.totp_enabled_at),
+      enabled_at: status.totp_enabled_at,
+      recovery_codes_remaining: status.recovery_codes_remaining
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get two-factor status',
+      code: 'TWO_FACTOR_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/users/me/2fa/setup
+ * Start 2FA enrollment - returns secret and otpauth URI for QR code
+ */
+router.post('/me/2fa/setup', authenticate, requireSession, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT totp_enabled_at FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    if (result.rows[0].totp_enabled_at) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled',
+        code: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    // Pending secret - only active once confirmed with a valid code
+    const secret = generateSecret();
+    await pool.query(
+      'UPDATE users SET totp_secret = $1, totp_last_step = NULL WHERE id = $2',
+      [secret, req.user.id]
+    );
+
+    const issuer = process.env.TOTP_ISSUER || process.env.APP_NAME || 'do-app-starter';
+
+    res.json({
+      success: true,
+      secret,
+      otpauth_uri: buildOtpauthUri(secret, req.user.email, issuer)
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start two-factor setup',
+      code: 'TWO_FACTOR_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/users/me/2fa/confirm
+ * Confirm enrollment with a code from the authenticator app
+ * Returns one-time recovery codes (shown only once)
+ */
+router.post('/me/2fa/confirm', authenticate, requireSession, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Code is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const result = await pool.query(
+      'SELECT totp_secret, totp_enabled_at FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    const { totp_secret: secret, totp_enabled_at: enabledAt } = result.rows[0];
+
+    if (enabledAt) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled',
+        code: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    if (!secret) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor setup has not been started',
+        code: 'TWO_FACTOR_NOT_SETUP'
+      });
+    }
+
+    const step = verifyCode(secret, code);
+
+    if (step === null) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid two-factor code',
+        code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    const recoveryCodes = await withTransaction(async (client) => {
+      await client.query(
+        'UPDATE users SET totp_enabled_at = NOW(), totp_last_step = $1 WHERE id = $2',
+        [step, req.user.id]
+      );
+
+      return generateRecoveryCodes(req.user.id, client);
+    });
+
+    await recordAuditEvent('2fa.enabled', { req });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recovery_codes: recoveryCodes
+    });
+  } catch (error) {
+    console.error('2FA confirm error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to enable two-factor authentication',
+      code: 'TWO_FACTOR_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/users/me/2fa/recovery-codes
+ * Regenerate recovery codes (invalidates the old set)
+ */
+router.post('/me/2fa/recovery-codes', authenticate, requireSession, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Code is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const result = await pool.query(
+      'SELECT id, totp_secret, totp_enabled_at FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    const user = result.rows[0];
+
+    if (!user.totp_enabled_at) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled',
+        code: 'TWO_FACTOR_NOT_ENABLED'
+      });
+    }
+
+    if (!(await verifySecondFactor(user, { code }))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid two-factor code',
+        code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    const recoveryCodes = await generateRecoveryCodes(req.user.id);
+
+    await recordAuditEvent('2fa.recovery_codes_regenerated', { req });
+
+    res.json({
+      success: true,
+      recovery_codes: recoveryCodes
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to regenerate recovery codes',
+      code: 'TWO_FACTOR_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/users/me/2fa
+ * Disable 2FA (requires password, if set, and a code or recovery code)
  */
-router.get('/me/items', authenticate, async (req, res) => {
+router.delete('/me/2fa', authenticate, requireSession, async (req, res) => {
   try {
+    const { password, code, recovery_code } = req.body;
+
+    if (!code && !recovery_code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Code or recovery code is required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
     const result = await pool.query(
-      'SELECT * FROM items WHERE user_id = $1 ORDER BY created_at DESC',
+      'SELECT id, password_hash, totp_secret, totp_enabled_at FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    const user = result.rows[0];
+
+    if (!user.totp_enabled_at) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled',
+        code: 'TWO_FACTOR_NOT_ENABLED'
+      });
+    }
+
+    // Password is required unless the account only uses social login
+    if (user.password_hash) {
+      const isValid = password ? await bcrypt.compare(password, user.password_hash) : false;
+
+      if (!isValid) {
+        return res.status(401).json({
+          success: false,
+          error: 'Password is incorrect',
+          code: 'INVALID_PASSWORD'
+        });
+      }
+    }
+
+    if (!(await verifySecondFactor(user, { code, recovery_code }))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid two-factor code',
+        code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    await withTransaction(async (client) => {
+      await client.query(
+        'UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = $1',
+        [req.user.id]
+      );
+      await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [req.user.id]);
+    });
+
+    await recordAuditEvent('2fa.disabled', { req });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to disable two-factor authentication',
+      code: 'TWO_FACTOR_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/users/me/passkeys
+ * List registered passkeys
+ */
+router.get('/me/passkeys', authenticate, requireSession, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, name, device_type, backed_up, created_at, last_used_at
+       FROM webauthn_credentials WHERE user_id = $1 ORDER BY created_at DESC`,
       [req.user.id]
     );
 
     res.json({
       success: true,
       count: result.rows.length,
-      items: result.rows
+      passkeys: result.rows
+    });
+  } catch (error) {
+    console.error('List passkeys error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list passkeys',
+      code: 'PASSKEY_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/users/me/passkeys/registration/options
+ * Start passkey registration ceremony
+ */
+router.post('/me/passkeys/registration/options', authenticate, requireSession, async (req, res) => {
+  try {
+    const { challenge_id, options } = await startRegistration(req.user);
+
+    res.json({
+      success: true,
+      challenge_id,
+      options
+    });
+  } catch (error) {
+    console.error('Passkey registration options error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start passkey registration',
+      code: 'PASSKEY_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/users/me/passkeys/registration/verify
+ * Verify authenticator attestation and save the passkey
+ */
+router.post('/me/passkeys/registration/verify', authenticate, requireSession, async (req, res) => {
+  try {
+    const { challenge_id, response, name } = req.body;
+
+    if (!challenge_id || !response) {
+      return res.status(400).json({
+        success: false,
+        error: 'Challenge ID and response are required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const passkey = await finishRegistration(req.user, challenge_id, response, name);
+
+    if (!passkey) {
+      return res.status(400).json({
+        success: false,
+        error: 'Passkey registration could not be verified',
+        code: 'PASSKEY_VERIFICATION_FAILED'
+      });
+    }
+
+    await recordAuditEvent('passkey.added', { req, details: { passkey_id: passkey.id, name: passkey.name } });
+
+    res.status(201).json({
+      success: true,
+      passkey
+    });
+  } catch (error) {
+    console.error('Passkey registration error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to register passkey',
+      code: 'PASSKEY_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/users/me/passkeys/:id
+ * Remove passkey
+ */
+router.delete('/me/passkeys/:id', authenticate, requireSession, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM webauthn_credentials WHERE id = $1 AND user_id = $2',
+      [parseInt(req.params.id, 10) || 0, req.user.id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Passkey not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    await recordAuditEvent('passkey.removed', { req, details: { passkey_id: parseInt(req.params.id, 10) } });
+
+    res.json({
+      success: true,
+      message: 'Passkey removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove passkey error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove passkey',
+      code: 'PASSKEY_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/users/me/api-keys
+ * List API keys (the keys themselves are never shown again)
+ */
+router.get('/me/api-keys', authenticate, requireSession, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, name, prefix, scopes, expires_at, last_used_at, created_at
+       FROM api_keys WHERE user_id = $1 ORDER BY created_at DESC`,
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      api_keys: result.rows
+    });
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list API keys',
+      code: 'API_KEYS_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/users/me/api-keys
+ * Create named API key with scopes and optional expiry
+ * The plain key is returned only in this response
+ */
+router.post('/me/api-keys', authenticate, requireSession, async (req, res) => {
+  try {
+    const { name, scopes, expires_in_days } = req.body;
+
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Name and at least one scope are required',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const invalidScopes = findInvalidScopes(scopes);
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid scopes: ${invalidScopes.join(', ')}`,
+        code: 'INVALID_SCOPE',
+        allowed_scopes: API_KEY_SCOPES
+      });
+    }
+
+    let expiresAt = null;
+    if (expires_in_days !== undefined && expires_in_days !== null) {
+      const days = Number(expires_in_days);
+      if (!Number.isInteger(days) || days <= 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'expires_in_days must be a positive integer',
+          code: 'INVALID_EXPIRY'
+        });
+      }
+
+      expiresAt = new Date();
+      expiresAt.setDate(expiresAt.getDate() + days);
+    }
+
+    const { key, prefix, hash } = generateApiKey();
+
+    const result = await pool.query(
+      `INSERT INTO api_keys (user_id, name, prefix, key_hash, scopes, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, name, prefix, scopes, expires_at, last_used_at, created_at`,
+      [req.user.id, String(name).slice(0, 100), prefix, hash, [...new Set(scopes)], expiresAt]
+    );
+
+    await recordAuditEvent('api_key.created', {
+      req,
+      details: { api_key_id: result.rows[0].id, prefix, scopes: result.rows[0].scopes }
+    });
+
+    res.status(201).json({
+      success: true,
+      key,
+      api_key: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create API key',
+      code: 'API_KEYS_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/users/me/api-keys/:id
+ * Revoke API key
+ */
+router.delete('/me/api-keys/:id', authenticate, requireSession, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM api_keys WHERE id = $1 AND user_id = $2',
+      [parseInt(req.params.id, 10) || 0, req.user.id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    await recordAuditEvent('api_key.revoked', { req, details: { api_key_id: parseInt(req.params.id, 10) } });
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API key',
+      code: 'API_KEYS_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/users/me/activity
+ * Security activity for the current account (logins, password changes, ...)
+ */
+router.get('/me/activity', authenticate, requireSession, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const result = await pool.query(
+      `SELECT id, event_type, ip_address, user_agent, details, created_at
+       FROM audit_events
+       WHERE user_id = $1
+       ORDER BY created_at DESC, id DESC
+       LIMIT $2 OFFSET $3`,
+      [req.user.id, limit, offset]
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      events: result.rows
+    });
+  } catch (error) {
+    console.error('Get activity error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get activity',
+      code: 'ACTIVITY_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/users/me/items
+ * Get items owned by current user (cursor-paginated like GET /api/items)
+ */
+router.get('/me/items', authenticate, requireScope('items:read'), async (req, res) => {
+  try {
+    const { params, error, code } = parseItemListParams(req.query, { userId: req.user.id });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+        code
+      });
+    }
+
+    const page = await listItems({
+      columns: `${ITEM_COLUMNS}, ${itemTagsColumn('$1')}`,
+      conditions: ['user_id = $1'],
+      values: [req.user.id]
+    }, params);
+
+    res.json({
+      success: true,
+      count: page.items.length,
+      items: page.items,
+      next_cursor: page.next_cursor,
+      has_more: page.has_more
     });
   } catch (error) {
     console.error('Get user items error:', error);
@@ -170,38 +785,45 @@ router.get('/me/items', authenticate, async (req, res) => {
  * DELETE /api/users/me
  * Delete current user account
  */
-router.delete('/me', authenticate, async (req, res) => {
+router.delete('/me', authenticate, requireSession, async (req, res) => {
   try {
     const { password } = req.body;
 
-    if (!password) {
-      return res.status(400).json({
-        success: false,
-        error: 'Password is required to delete account',
-        code: 'MISSING_PASSWORD'
-      });
-    }
-
     // Get password hash
     const result = await pool.query(
       'SELECT password_hash FROM users WHERE id = $1',
       [req.user.id]
     );
 
-    // Verify password
-    const isValid = await bcrypt.compare(password, result.rows[0].password_hash);
+    const { password_hash: passwordHash } = result.rows[0];
 
-    if (!isValid) {
-      return res.status(401).json({
-        success: false,
-        error: 'Password is incorrect',
-        code: 'INVALID_PASSWORD'
-      });
+    // Accounts created through social login have no password to confirm
+    if (passwordHash) {
+      if (!password) {
+        return res.status(400).json({
+          success: false,
+          error: 'Password is required to delete account',
+          code: 'MISSING_PASSWORD'
+        });
+      }
+
+      // Verify password
+      const isValid = await bcrypt.compare(password, passwordHash);
+
+      if (!isValid) {
+        return res.status(401).json({
+          success: false,
+          error: 'Password is incorrect',
+          code: 'INVALID_PASSWORD'
+        });
+      }
     }
 
-    // Delete user (cascades to items, sessions, uploads)
+    // Delete user (cascades to items, sessions, uploads - audit events are kept)
     await pool.query('DELETE FROM users WHERE id = $1', [req.user.id]);
 
+    await recordAuditEvent('account.deleted', { req, details: { email: req.user.email } });
+
     res.json({
       success: true,
       message: 'Account deleted successfully'
@@ -0,0 +1,23 @@
+require('dotenv').config();
+const { pool } = require('../config/database');
+const { purgeDeletedItems, TRASH_RETENTION_DAYS } = require('../lib/item-purge');
+
+async function runPurge() {
+  try {
+    console.log(`🗑️  Purging items trashed more than ${TRASH_RETENTION_DAYS} day(s) ago...`);
+
+    const { purged, failed } = await purgeDeletedItems();
+
+    console.log(`✅ Purged ${purged} item(s)`);
+    if (failed > 0) {
+      console.log(`⚠️  ${failed} item(s) kept because their files could not be deleted`);
+    }
+    await pool.end();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Trash purge failed:', error);
+    process.exit(1);
+  }
+}
+
+runPurge();
@@ -0,0 +1,22 @@
+require('dotenv').config();
+const { pool } = require('../config/database');
+const { rotateKeys } = require('../config/keys');
+const { MAX_TOKEN_LIFETIME_SECONDS } = require('../middleware/auth');
+
+async function runRotation() {
+  try {
+    console.log('🔄 Rotating JWT signing keys...');
+
+    const result = await rotateKeys({ retentionSeconds: MAX_TOKEN_LIFETIME_SECONDS });
+
+    console.log(`✅ New ${result.algorithm} key ${result.kid} activates at ${result.activates_at.toISOString()}`);
+    console.log(`🗑️  Pruned ${result.pruned} expired key(s)`);
+    await pool.end();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Key rotation failed:', error);
+    process.exit(1);
+  }
+}
+
+runRotation();
@@ -1,4 +1,5 @@
 require('dotenv').config();
+const http = require('http');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -6,21 +7,34 @@ const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const { pool } = require('./config/database');
 const { s3Client } = require('./config/spaces');
-const { cleanupExpiredSessions } = require('./middleware/auth');
+const { cleanupExpiredSessions, MAX_TOKEN_LIFETIME_SECONDS } = require('./middleware/auth');
+const { initKeys, getJwks, JWT_ALGORITHM } = require('./config/keys');
+const { purgeDeletedItems } = require('./lib/item-purge');
+const { MAIL_DRIVER } = require('./config/mailer');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const itemRoutes = require('./routes/items');
+const itemCommentRoutes = require('./routes/item-comments');
+const tagRoutes = require('./routes/tags');
+const collectionRoutes = require('./routes/collections');
+const syncRoutes = require('./routes/sync');
+const itemTypeRoutes = require('./routes/item-types');
+const adminRoutes = require('./routes/admin');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 
+// App Platform terminates TLS at a load balancer - trust it for client IPs
+app.set('trust proxy', 1);
+
 // Middleware
 app.use(helmet());
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['ETag']
 }));
 app.use(morgan('combined'));
 app.use(express.json({ limit: '10mb' })); // Allow larger payloads for file uploads
@@ -37,9 +51,11 @@ const publicLimiter = rateLimit({
   }
 });
 
+// Per-IP backstop only - failed logins are also counted per account (lib/lockout.js),
+// so this stays loose enough for users sharing a carrier NAT
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
-  max: 5, // Stricter limit for auth endpoints
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX, 10) || 30, // Stricter limit for auth endpoints
   message: {
     success: false,
     error: 'Too many authentication attempts, please try again later',
@@ -60,6 +76,11 @@ const apiLimiter = rateLimit({
 // Apply rate limiters
 app.use('/api/auth/login', authLimiter);
 app.use('/api/auth/signup', authLimiter);
+app.use('/api/auth/oidc', authLimiter);
+app.use('/api/auth/passkey', authLimiter);
+app.use('/api/auth/verify-email', authLimiter);
+app.use('/api/auth/forgot-password', authLimiter);
+app.use('/api/auth/reset-password', authLimiter);
 app.use('/api/', apiLimiter);
 
 // Health check endpoints (no auth required)
@@ -113,6 +134,12 @@ app.get('/health/storage', async (req, res) => {
   }
 });
 
+// Public keys for verifying our access tokens (empty when using HS256)
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(getJwks());
+});
+
 // Root endpoint - API info
 app.get('/', (req, res) => {
   res.json({
@@ -123,35 +150,115 @@ app.get('/', (req, res) => {
       health: {
         '/health': 'Application health status',
         '/health/db': 'Database connection status',
-        '/health/storage': 'Spaces storage status'
+        '/health/storage': 'Spaces storage status',
+        '/.well-known/jwks.json': 'Public keys for verifying access tokens'
       },
       auth: {
         'POST /api/auth/signup': 'Create new account',
-        'POST /api/auth/login': 'Login and get JWT token',
+        'POST /api/auth/login': 'Login and get access + refresh tokens',
+        'POST /api/auth/login/2fa': 'Complete login with 2FA code',
+        'POST /api/auth/oidc/:provider': 'Sign in with Google/Apple ID token',
+        'POST /api/auth/passkey/options': 'Start passkey login',
+        'POST /api/auth/passkey/verify': 'Complete passkey login',
         'POST /api/auth/logout': 'Logout (revoke session)',
-        'POST /api/auth/refresh': 'Refresh JWT token'
+        'POST /api/auth/refresh': 'Exchange refresh token for new tokens',
+        'GET /api/auth/sessions': 'List active sessions (auth required)',
+        'DELETE /api/auth/sessions/:id': 'Sign out a session (auth required)',
+        'DELETE /api/auth/sessions': 'Sign out all other sessions (auth required)',
+        'POST /api/auth/verify-email': 'Verify email with token',
+        'POST /api/auth/verify-email/resend': 'Resend verification email (auth required)',
+        'POST /api/auth/forgot-password': 'Request password reset email',
+        'POST /api/auth/reset-password': 'Reset password with token'
       },
       users: {
         'GET /api/users/me': 'Get current user profile',
         'PUT /api/users/me': 'Update profile',
         'PUT /api/users/me/password': 'Change password',
+        'GET /api/users/me/2fa': 'Get 2FA status',
+        'POST /api/users/me/2fa/setup': 'Start 2FA enrollment',
+        'POST /api/users/me/2fa/confirm': 'Confirm 2FA with code',
+        'POST /api/users/me/2fa/recovery-codes': 'Regenerate recovery codes',
+        'DELETE /api/users/me/2fa': 'Disable 2FA',
+        'GET /api/users/me/passkeys': 'List passkeys',
+        'POST /api/users/me/passkeys/registration/options': 'Start passkey registration',
+        'POST /api/users/me/passkeys/registration/verify': 'Complete passkey registration',
+        'DELETE /api/users/me/passkeys/:id': 'Remove passkey',
+        'GET /api/users/me/api-keys': 'List API keys',
+        'POST /api/users/me/api-keys': 'Create scoped API key',
+        'DELETE /api/users/me/api-keys/:id': 'Revoke API key',
+        'GET /api/users/me/activity': 'Security activity log',
         'GET /api/users/me/items': 'Get user\'s items',
         'DELETE /api/users/me': 'Delete account'
       },
       items: {
-        'GET /api/items': 'Get all items',
+        'GET /api/items': 'List items (cursor-paginated, filterable)',
+        'GET /api/items/search?q=': 'Full-text search over items',
+        'GET /api/items/trash': 'List trashed items',
+        'GET /api/items/export?format=': 'Download own items as CSV, JSON or NDJSON',
         'GET /api/items/:id': 'Get single item',
         'POST /api/items': 'Create item (auth required)',
+        'POST /api/items/batch': 'Create/update/delete items in one transaction',
+        'POST /api/items/import': 'Import items (column mapping, dry run, upsert by external_id)',
         'PUT /api/items/:id': 'Update item (auth required)',
-        'DELETE /api/items/:id': 'Delete item (auth required)',
+        'DELETE /api/items/:id': 'Move item to trash (auth required)',
+        'POST /api/items/:id/restore': 'Restore item from trash',
         'POST /api/items/:id/upload': 'Upload file (auth required)',
-        'GET /api/items/:id/uploads': 'Get item uploads (auth required)'
+        'GET /api/items/:id/uploads': 'Get item uploads (auth required)',
+        'GET /api/items/:id/revisions': 'Item change history',
+        'POST /api/items/:id/revisions/:rev/restore': 'Restore item revision',
+        'GET /api/items/:id/shares': 'List collaborators',
+        'POST /api/items/:id/shares': 'Invite collaborator (owner)',
+        'DELETE /api/items/:id/shares/:userId': 'Remove collaborator or leave item',
+        'GET /api/items/:id/comments': 'List comments (cursor-paginated)',
+        'POST /api/items/:id/comments': 'Comment on item (@email mentions)',
+        'GET /api/items/:id/comments/:commentId': 'Get comment',
+        'PUT /api/items/:id/comments/:commentId': 'Edit own comment',
+        'DELETE /api/items/:id/comments/:commentId': 'Delete comment (author or item owner)',
+        'GET /api/items/:id/comments/:commentId/edits': 'Comment edit history'
+      },
+      tags: {
+        'GET /api/tags': 'List tags with item counts',
+        'POST /api/tags': 'Create tag',
+        'POST /api/tags/assign': 'Bulk add/remove tags on items',
+        'PUT /api/tags/:id': 'Rename tag',
+        'POST /api/tags/:id/merge': 'Merge tag into another',
+        'DELETE /api/tags/:id': 'Delete tag'
+      },
+      collections: {
+        'GET /api/collections': 'List collections',
+        'POST /api/collections': 'Create collection',
+        'GET /api/collections/:id': 'Get collection with ordered items',
+        'PUT /api/collections/:id': 'Update collection',
+        'DELETE /api/collections/:id': 'Delete collection',
+        'POST /api/collections/:id/items': 'Add items to collection',
+        'PUT /api/collections/:id/items/order': 'Reorder collection items',
+        'DELETE /api/collections/:id/items/:itemId': 'Remove item from collection'
+      },
+      item_types: {
+        'GET /api/item-types': 'List item types with current schemas',
+        'GET /api/item-types/:key': 'Get item type (?version= for older schemas)',
+        'GET /api/item-types/:key/versions': 'Schema version history',
+        'POST /api/item-types': 'Register item type (admin)',
+        'PUT /api/item-types/:key': 'Update item type / add schema version (admin)',
+        'DELETE /api/item-types/:key': 'Delete unused item type (admin)'
+      },
+      sync: {
+        'GET /api/sync?since=': 'Item changes and tombstones since a sync token',
+        'POST /api/sync': 'Apply offline mutations with conflict detection'
+      },
+      admin: {
+        'GET /api/admin/users': 'List users (moderator/admin)',
+        'PUT /api/admin/users/:id/role': 'Change user role (admin)',
+        'GET /api/admin/audit-events': 'Query audit log (admin)'
       }
     },
     authentication: {
       type: 'JWT Bearer Token',
+      algorithm: JWT_ALGORITHM,
       header: 'Authorization: Bearer <token>',
-      get_token: 'POST /api/auth/login or /api/auth/signup'
+      get_token: 'POST /api/auth/login or /api/auth/signup',
+      refresh_token: 'POST /api/auth/refresh with { refresh_token }',
+      api_keys: 'Authorization: Bearer ak_... (scoped, from POST /api/users/me/api-keys)'
     },
     documentation: 'See MOBILE-API-GUIDE.md for full documentation and examples'
   });
@@ -160,7 +267,13 @@ app.get('/', (req, res) => {
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/items/:id/comments', itemCommentRoutes);
 app.use('/api/items', itemRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/collections', collectionRoutes);
+app.use('/api/sync', syncRoutes);
+app.use('/api/item-types', itemTypeRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -212,15 +325,29 @@ app.use((req, res) => {
   });
 });
 
-// Start server
-const server = app.listen(PORT, () => {
-  console.log(`🚀 Mobile API Server running on port ${PORT}`);
-  console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🗄️  Database: ${process.env.DATABASE_URL ? 'Connected' : 'Not configured'}`);
-  console.log(`☁️  Storage: ${process.env.SPACES_BUCKET || 'Not configured'}`);
-  console.log(`🔐 JWT Secret: ${process.env.JWT_SECRET ? 'Configured' : 'Using default (change in production!)'}`);
-  console.log(`📱 Mobile API ready for connections`);
-});
+// Start server (signing keys must be loaded before any token is issued)
+const server = http.createServer(app);
+
+initKeys({ retentionSeconds: MAX_TOKEN_LIFETIME_SECONDS })
+  .then(() => {
+    server.listen(PORT, () => {
+      console.log(`🚀 Mobile API Server running on port ${PORT}`);
+      console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
+      console.log(`🗄️  Database: ${process.env.DATABASE_URL ? 'Connected' : 'Not configured'}`);
+      console.log(`☁️  Storage: ${process.env.SPACES_BUCKET || 'Not configured'}`);
+      console.log(`📧 Mail driver: ${MAIL_DRIVER}`);
+      if (JWT_ALGORITHM === 'HS256') {
+        console.log(`🔐 JWT Secret: ${process.env.JWT_SECRET ? 'Configured' : 'Using default (change in production!)'}`);
+      } else {
+        console.log(`🔐 JWT Signing: ${JWT_ALGORITHM} (keys published at /.well-known/jwks.json)`);
+      }
+      console.log(`📱 Mobile API ready for connections`);
+    });
+  })
+  .catch(err => {
+    console.error('❌ Failed to load JWT signing keys:', err);
+    process.exit(1);
+  });
 
 // Session cleanup every hour
 setInterval(() => {
@@ -229,6 +356,19 @@ setInterval(() => {
   });
 }, 60 * 60 * 1000);
 
+// Purge items that have been in the trash longer than TRASH_RETENTION_DAYS
+setInterval(() => {
+  purgeDeletedItems()
+    .then(({ purged, failed }) => {
+      if (purged > 0 || failed > 0) {
+        console.log(`🗑️  Purged ${purged} trashed item(s), ${failed} failed`);
+      }
+    })
+    .catch(err => {
+      console.error('Trash purge error:', err);
+    });
+}, 60 * 60 * 1000);
+
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, closing server gracefully...');
@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { formatCsvRow, parseCsv } = require('../lib/csv');
+
+describe('csv', () => {
+  it('quotes fields with separators, quotes and line breaks', () => {
+    assert.equal(formatCsvRow(['a,b', 'say "hi"', 'two\nlines', 3]), '"a,b","say ""hi""","two\nlines",3\r\n');
+  });
+
+  it('writes objects as JSON and dates as ISO 8601', () => {
+    assert.equal(
+      formatCsvRow([{ a: 1 }, new Date('2026-01-02T03:04:05Z'), null]),
+      '"{""a"":1}",2026-01-02T03:04:05.000Z,\r\n'
+    );
+  });
+
+  it('prefixes text a spreadsheet would run as a formula', () => {
+    assert.equal(
+      formatCsvRow(['=HYPERLINK("http://evil.example")', '+1', '-2', '@SUM(A1)', '\tx', 'a=b']),
+      `"'=HYPERLINK(""http://evil.example"")",'+1,'-2,'@SUM(A1),'\tx,a=b\r\n`
+    );
+  });
+
+  it('leaves negative numbers alone', () => {
+    assert.equal(formatCsvRow([-2]), '-2\r\n');
+  });
+
+  it('reads back what it writes', () => {
+    const text = formatCsvRow(['name', 'notes']) + formatCsvRow(['Tent', 'a, "b"\nc']);
+
+    assert.deepEqual(parseCsv(text).rows, [['name', 'notes'], ['Tent', 'a, "b"\nc']]);
+  });
+});
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+
+// Software WebAuthn authenticator for tests: generates a P-256 passkey and
+// produces registration (attestation "none") and authentication responses in
+// the JSON shape browsers hand to @simplewebauthn/browser.
+
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_CREDENTIAL_DATA = 0x40;
+
+function base64url(bytes) {
+  return Buffer.from(bytes).toString('base64url');
+}
+
+/**
+ * Minimal CBOR encoder (unsigned/negative integers, byte and text strings, maps)
+ */
+function cborHead(major, length) {
+  if (length < 24) {
+    return Buffer.from([(major << 5) | length]);
+  }
+  if (length < 0x100) {
+    return Buffer.from([(major << 5) | 24, length]);
+  }
+  if (length < 0x10000) {
+    const head = Buffer.alloc(3);
+    head[0] = (major << 5) | 25;
+    head.writeUInt16BE(length, 1);
+    return head;
+  }
+  const head = Buffer.alloc(5);
+  head[0] = (major << 5) | 26;
+  head.writeUInt32BE(length, 1);
+  return head;
+}
+
+function cbor(value) {
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    return Buffer.concat([cborHead(2, value.length), Buffer.from(value)]);
+  }
+
+  if (typeof value === 'string') {
+    const text = Buffer.from(value, 'utf8');
+    return Buffer.concat([cborHead(3, text.length), text]);
+  }
+
+  if (Number.isInteger(value)) {
+    return value >= 0 ? cborHead(0, value) : cborHead(1, -1 - value);
+  }
+
+  const entries = value instanceof Map ? [...value.entries()] : Object.entries(value);
+  return Buffer.concat([
+    cborHead(5, entries.length),
+    ...entries.flatMap(([key, item]) => [cbor(key), cbor(item)])
+  ]);
+}
+
+function clientDataJSON(type, challenge, origin) {
+  return Buffer.from(JSON.stringify({ type, challenge, origin, crossOrigin: false }));
+}
+
+class SoftwareAuthenticator {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.rpId]
+   * @param {string} [options.origin]
+   */
+  constructor({ rpId = 'localhost', origin = 'http://localhost:8080' } = {}) {
+    this.rpId = rpId;
+    this.origin = origin;
+    this.credentialId = crypto.randomBytes(32);
+    this.counter = 0;
+
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    this.privateKey = privateKey;
+    this.publicKey = publicKey;
+  }
+
+  get id() {
+    return base64url(this.credentialId);
+  }
+
+  /**
+   * authenticatorData: rpIdHash | flags | signCount [| attested credential data]
+   */
+  authenticatorData(flags, attestedCredentialData = Buffer.alloc(0)) {
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(this.counter);
+
+    return Buffer.concat([
+      crypto.createHash('sha256').update(this.rpId).digest(),
+      Buffer.from([flags]),
+      counter,
+      attestedCredentialData
+    ]);
+  }
+
+  /**
+   * COSE_Key for the credential's public key (EC2, ES256, P-256)
+   */
+  cosePublicKey() {
+    const jwk = this.publicKey.export({ format: 'jwk' });
+
+    return cbor(new Map([
+      [1, 2],
+      [3, -7],
+      [-1, 1],
+      [-2, Buffer.from(jwk.x, 'base64url')],
+      [-3, Buffer.from(jwk.y, 'base64url')]
+    ]));
+  }
+
+  /**
+   * Response to navigator.credentials.create() for registration options
+   * @param {object} options - From generateRegistrationOptions()
+   * @param {object} [overrides] - { origin, challenge } to produce invalid responses
+   */
+  createCredential(options, { origin = this.origin, challenge = options.challenge } = {}) {
+    const credentialIdLength = Buffer.alloc(2);
+    credentialIdLength.writeUInt16BE(this.credentialId.length);
+
+    const attestedCredentialData = Buffer.concat([
+      Buffer.alloc(16), // AAGUID
+      credentialIdLength,
+      this.credentialId,
+      this.cosePublicKey()
+    ]);
+
+    const authData = this.authenticatorData(
+      FLAG_USER_PRESENT | FLAG_USER_VERIFIED | FLAG_ATTESTED_CREDENTIAL_DATA,
+      attestedCredentialData
+    );
+
+    return {
+      id: this.id,
+      rawId: this.id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: base64url(clientDataJSON('webauthn.create', challenge, origin)),
+        attestationObject: base64url(cbor({ fmt: 'none', attStmt: {}, authData })),
+        transports: ['internal']
+      },
+      clientExtensionResults: {}
+    };
+  }
+
+  /**
+   * Response to navigator.credentials.get() for authentication options
+   * The signature counter goes up by one unless a counter is given.
+   * @param {object} options - From generateAuthenticationOptions()
+   * @param {object} [overrides] - { counter, origin, signingKey } to produce invalid responses
+   */
+  getAssertion(options, { counter = this.counter + 1, origin = this.origin, signingKey = this.privateKey } = {}) {
+    this.counter = counter;
+
+    const authData = this.authenticatorData(FLAG_USER_PRESENT | FLAG_USER_VERIFIED);
+    const clientData = clientDataJSON('webauthn.get', options.challenge, origin);
+    const signature = crypto.sign(
+      'sha256',
+      Buffer.concat([authData, crypto.createHash('sha256').update(clientData).digest()]),
+      signingKey
+    );
+
+    return {
+      id: this.id,
+      rawId: this.id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: base64url(clientData),
+        authenticatorData: base64url(authData),
+        signature: base64url(signature)
+      },
+      clientExtensionResults: {}
+    };
+  }
+}
+
+module.exports = { SoftwareAuthenticator };
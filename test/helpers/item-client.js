@@ -0,0 +1,51 @@
+// Transaction client stand-in for the item write paths: answers the queries
+// createItem() issues (other lookups find nothing) and records every
+// statement, so tests can check the savepoints used around each operation.
+// Inserting an item named "fail" throws like a database error.
+
+class ItemClient {
+  constructor() {
+    this.statements = [];
+    this.items = [];
+  }
+
+  /**
+   * Hand this client out from pool.connect()
+   * @param {object} pool - pg Pool from config/database
+   * @returns {Function} - Restores the original pool.connect
+   */
+  install(pool) {
+    const original = pool.connect;
+    pool.connect = async () => this;
+    return () => {
+      pool.connect = original;
+    };
+  }
+
+  release() {}
+
+  async query(sql, params = []) {
+    const statement = sql.replace(/\s+/g, ' ').trim();
+    this.statements.push(statement);
+
+    if (statement.startsWith('INSERT INTO items')) {
+      const [name, description, userId, metadata, visibility] = params;
+
+      if (name === 'fail') {
+        throw Object.assign(new Error('value too long for type character varying(255)'), { code: '22001' });
+      }
+
+      const item = { id: this.items.length + 1, name, description, user_id: userId, metadata, visibility, version: 1 };
+      this.items.push(item);
+      return { rows: [item] };
+    }
+
+    if (statement.startsWith('INSERT INTO item_revisions')) {
+      return { rows: [{ id: 1, revision: 1 }] };
+    }
+
+    return { rows: [] };
+  }
+}
+
+module.exports = { ItemClient };
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+
+// In-memory stand-in for the webauthn_challenges and webauthn_credentials
+// tables, answering the queries lib/passkeys.js issues. The clock can be moved
+// forward to expire challenges.
+
+class PasskeyStore {
+  constructor() {
+    this.now = Date.now();
+    this.challenges = [];
+    this.credentials = [];
+    this.users = [];
+  }
+
+  advance(milliseconds) {
+    this.now += milliseconds;
+  }
+
+  /**
+   * Route pool.query() calls to the store
+   * @param {object} pool - pg Pool from config/database
+   * @returns {Function} - Restores the original pool.query
+   */
+  install(pool) {
+    const original = pool.query;
+    pool.query = async (sql, params = []) => this.query(sql.replace(/\s+/g, ' ').trim(), params);
+    return () => {
+      pool.query = original;
+    };
+  }
+
+  async query(sql, params) {
+    if (sql.startsWith('DELETE FROM webauthn_challenges WHERE expires_at < NOW()')) {
+      this.challenges = this.challenges.filter(challenge => challenge.expires_at >= this.now);
+      return { rows: [] };
+    }
+
+    if (sql.startsWith('INSERT INTO webauthn_challenges')) {
+      const [userId, challenge, purpose, seconds] = params;
+      const row = {
+        id: crypto.randomUUID(),
+        user_id: userId,
+        challenge,
+        purpose,
+        expires_at: this.now + seconds * 1000
+      };
+      this.challenges.push(row);
+      return { rows: [{ id: row.id }] };
+    }
+
+    if (sql.startsWith('DELETE FROM webauthn_challenges WHERE id = $1')) {
+      const [id, purpose] = params;
+      const row = this.challenges.find(challenge =>
+        challenge.id === id && challenge.purpose === purpose && challenge.expires_at > this.now);
+
+      if (!row) {
+        return { rows: [] };
+      }
+
+      this.challenges = this.challenges.filter(challenge => challenge !== row);
+      return { rows: [{ challenge: row.challenge, user_id: row.user_id }] };
+    }
+
+    if (sql.startsWith('SELECT credential_id, transports FROM webauthn_credentials WHERE user_id = $1')) {
+      return { rows: this.credentials.filter(credential => credential.user_id === params[0]) };
+    }
+
+    if (sql.startsWith('SELECT c.credential_id, c.transports FROM webauthn_credentials c JOIN users u')) {
+      const user = this.users.find(candidate => candidate.email === params[0]);
+      return { rows: user ? this.credentials.filter(credential => credential.user_id === user.id) : [] };
+    }
+
+    if (sql.startsWith('INSERT INTO webauthn_credentials')) {
+      const [userId, credentialId, publicKey, counter, transports, deviceType, backedUp, name] = params;
+
+      if (this.credentials.some(credential => credential.credential_id === credentialId)) {
+        throw Object.assign(new Error('duplicate key value violates unique constraint'), { code: '23505' });
+      }
+
+      const row = {
+        id: this.credentials.length + 1,
+        user_id: userId,
+        credential_id: credentialId,
+        public_key: publicKey,
+        counter: String(counter),
+        transports,
+        device_type: deviceType,
+        backed_up: backedUp,
+        name,
+        created_at: new Date(this.now),
+        last_used_at: null
+      };
+      this.credentials.push(row);
+
+      const { id, device_type, backed_up, created_at, last_used_at } = row;
+      return { rows: [{ id, name, device_type, backed_up, created_at, last_used_at }] };
+    }
+
+    if (sql.startsWith('SELECT id, user_id, credential_id, public_key, counter, transports FROM webauthn_credentials WHERE credential_id = $1')) {
+      return { rows: this.credentials.filter(credential => credential.credential_id === params[0]) };
+    }
+
+    if (sql.startsWith('UPDATE webauthn_credentials SET counter = $1')) {
+      const [counter, id] = params;
+      const row = this.credentials.find(credential => credential.id === id);
+      row.counter = String(counter);
+      row.last_used_at = new Date(this.now);
+      return { rows: [], rowCount: 1 };
+    }
+
+    throw new Error(`PasskeyStore: unexpected query: ${sql}`);
+  }
+}
+
+module.exports = { PasskeyStore };
@@ -0,0 +1,48 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { pool } = require('../config/database');
+const { runBatch } = require('../lib/item-batch');
+const { ItemClient } = require('./helpers/item-client');
+
+const user = { id: 1, email: 'sam@example.com', role: 'user' };
+
+describe('item batches', () => {
+  let client;
+  let restore;
+
+  beforeEach((t) => {
+    client = new ItemClient();
+    restore = client.install(pool);
+    t.mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    restore();
+  });
+
+  const operations = [
+    { op: 'create', data: { name: 'Tent' } },
+    { op: 'create', data: { name: 'fail' } },
+    { op: 'create', data: { name: 'Stove' } }
+  ];
+
+  it('reports a database error for one operation and keeps the others', async () => {
+    const { results, failedIndex } = await runBatch(user, operations);
+
+    assert.equal(failedIndex, null);
+    assert.deepEqual(results.map(result => result.success), [true, false, true]);
+    assert.equal(results[1].status, 500);
+    assert.equal(results[1].code, 'SERVER_ERROR');
+    assert.ok(client.statements.includes('ROLLBACK TO SAVEPOINT item_batch_op'));
+    assert.equal(client.statements[client.statements.length - 1], 'COMMIT');
+  });
+
+  it('rolls back an atomic batch when an operation throws', async () => {
+    const { results, failedIndex } = await runBatch(user, operations, { atomic: true });
+
+    assert.equal(failedIndex, 1);
+    assert.deepEqual(results.map(result => result.code), ['ROLLED_BACK', 'SERVER_ERROR', 'NOT_ATTEMPTED']);
+    assert.ok(client.statements.includes('ROLLBACK TO SAVEPOINT item_batch'));
+  });
+});
@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { itemETag, ifMatchSatisfied, ifNoneMatchMatches } = require('../lib/item-etag');
+
+const item = { id: 7, version: 4 };
+
+describe('item ETags', () => {
+  it('change with the version and the access level', () => {
+    assert.equal(itemETag(item, 'owner'), '"7-4-owner"');
+    assert.notEqual(itemETag(item, 'viewer'), itemETag({ ...item, version: 5 }, 'viewer'));
+    assert.notEqual(itemETag(item, 'viewer'), itemETag(item, 'editor'));
+  });
+
+  it('differ between anonymous and signed-in readers of a public item', () => {
+    assert.notEqual(itemETag(item, 'viewer', { anonymous: true }), itemETag(item, 'viewer'));
+  });
+
+  it('allow writes when If-Match is absent, matches or is *', () => {
+    const etag = itemETag(item, 'owner');
+
+    assert.ok(ifMatchSatisfied(undefined, etag));
+    assert.ok(ifMatchSatisfied(`"1-1-owner", ${etag}`, etag));
+    assert.ok(ifMatchSatisfied('*', etag));
+    assert.ok(!ifMatchSatisfied('"7-3-owner"', etag));
+    assert.ok(!ifMatchSatisfied(`W/${etag}`, etag));
+  });
+
+  it('compare If-None-Match weakly', () => {
+    const etag = itemETag(item, 'owner');
+
+    assert.ok(ifNoneMatchMatches(`W/${etag}`, etag));
+    assert.ok(!ifNoneMatchMatches(undefined, etag));
+  });
+});
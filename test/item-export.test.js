@@ -0,0 +1,128 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+const { pool } = require('../config/database');
+const { streamItemExport } = require('../lib/item-export');
+
+/**
+ * Response stand-in whose write() reports a full buffer when asked to
+ */
+class FakeResponse extends EventEmitter {
+  constructor() {
+    super();
+    this.chunks = [];
+    this.destroyed = false;
+    this.writableEnded = false;
+    this.full = false;
+  }
+
+  status() {
+    return this;
+  }
+
+  set() {
+    return this;
+  }
+
+  write(chunk) {
+    this.chunks.push(chunk);
+    return !this.full;
+  }
+
+  end(chunk) {
+    this.chunks.push(chunk);
+    this.writableEnded = true;
+  }
+
+  close() {
+    this.destroyed = true;
+    this.emit('close');
+  }
+}
+
+describe('item export', () => {
+  let res;
+  let client;
+  let restore;
+
+  beforeEach(() => {
+    res = new FakeResponse();
+    client = {
+      statements: [],
+      released: false,
+      fetches: 0,
+      onFetch: () => {},
+      async query(sql) {
+        this.statements.push(sql.trim().split(/\s+/)[0]);
+        if (sql.startsWith('FETCH')) {
+          this.fetches++;
+          this.onFetch(this.fetches);
+          const size = this.fetches < 3 ? 500 : 2;
+          return { rows: Array.from({ length: size }, (_, i) => ({ id: i, name: `Item ${i}` })) };
+        }
+        return { rows: [] };
+      },
+      release() {
+        this.released = true;
+      }
+    };
+
+    const original = pool.connect;
+    pool.connect = async () => client;
+    restore = () => {
+      pool.connect = original;
+    };
+  });
+
+  afterEach(() => {
+    restore();
+  });
+
+  it('streams every batch and commits', async () => {
+    const count = await streamItemExport(res, 1, 'ndjson');
+
+    assert.equal(count, 1002);
+    assert.ok(res.writableEnded);
+    assert.equal(client.statements[client.statements.length - 1], 'COMMIT');
+    assert.ok(client.released);
+  });
+
+  it('waits for the response to drain', async () => {
+    res.full = true;
+    client.onFetch = (fetches) => {
+      if (fetches === 2) {
+        res.full = false;
+      }
+    };
+
+    const exported = streamItemExport(res, 1, 'ndjson');
+    setImmediate(() => res.emit('drain'));
+
+    assert.equal(await exported, 1002);
+  });
+
+  it('ends the transaction when the client leaves during a FETCH', async () => {
+    client.onFetch = (fetches) => {
+      if (fetches === 2) {
+        res.full = true;
+        res.close();
+      }
+    };
+
+    await assert.rejects(streamItemExport(res, 1, 'csv'), { code: 'EXPORT_CLOSED' });
+    assert.equal(client.statements[client.statements.length - 1], 'ROLLBACK');
+    assert.ok(client.released);
+  });
+
+  it('ends the transaction when the client leaves while waiting to drain', async () => {
+    res.full = true;
+
+    const exported = streamItemExport(res, 1, 'json');
+    setImmediate(() => res.close());
+
+    await assert.rejects(exported, { code: 'EXPORT_CLOSED' });
+    assert.equal(client.statements[client.statements.length - 1], 'ROLLBACK');
+    assert.ok(client.released);
+  });
+});
@@ -0,0 +1,64 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { pool } = require('../config/database');
+const { parseImportRequest, runImport } = require('../lib/item-import');
+const { ItemClient } = require('./helpers/item-client');
+
+const user = { id: 1, email: 'sam@example.com', role: 'user' };
+
+/**
+ * Parse and run a JSON import
+ */
+async function importRows(rows, mapping) {
+  const { records, mapping: entries, error } = parseImportRequest({ format: 'json', data: rows, mapping });
+  assert.equal(error, undefined);
+  return runImport(user, records, entries);
+}
+
+describe('item import', () => {
+  let client;
+  let restore;
+
+  beforeEach((t) => {
+    client = new ItemClient();
+    restore = client.install(pool);
+    t.mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    restore();
+  });
+
+  it('reports a database error for one row and imports the others', async () => {
+    const result = await importRows([{ name: 'Tent' }, { name: 'fail' }, { name: 'Stove' }]);
+
+    assert.equal(result.created, 2);
+    assert.deepEqual(result.errors, [{ row: 2, error: 'Row could not be saved', code: 'SERVER_ERROR' }]);
+    assert.ok(client.statements.includes('ROLLBACK TO SAVEPOINT item_import_row'));
+    assert.equal(client.statements[client.statements.length - 1], 'COMMIT');
+  });
+
+  it('rejects a name that is too long', async () => {
+    const result = await importRows([{ name: 'x'.repeat(256) }]);
+
+    assert.equal(result.failed, 1);
+    assert.equal(result.errors[0].code, 'VALIDATION_ERROR');
+    assert.equal(client.items.length, 0);
+  });
+
+  it('fails rows that set a field that cannot be cleared to null', async () => {
+    const result = await importRows([{ external_id: 'x', name: null }]);
+
+    assert.equal(result.failed, 1);
+    assert.deepEqual(result.errors[0].errors, [{ field: 'name', column: 'name', message: 'Column "name" cannot clear name' }]);
+  });
+
+  it('clears description and metadata keys with null', async () => {
+    const result = await importRows([{ name: 'Tent', description: null, 'metadata.color': null }]);
+
+    assert.equal(result.created, 1);
+    assert.equal(client.items[0].description, null);
+    assert.deepEqual(client.items[0].metadata, {});
+  });
+});
@@ -0,0 +1,24 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateMutations } = require('../lib/item-sync');
+
+describe('sync mutations', () => {
+  it('accepts creates, updates and deletes', () => {
+    assert.equal(validateMutations([
+      { op: 'create', data: { name: 'Tent' } },
+      { op: 'update', id: 1, base_version: 2, data: { name: 'Stove' } },
+      { op: 'delete', id: 2, base_version: 1 }
+    ]), null);
+  });
+
+  it('requires base_version for updates and deletes', () => {
+    assert.equal(validateMutations([{ op: 'update', id: 1, data: {} }]), 'mutations[0].base_version is required for update');
+  });
+
+  it('rejects data that is not an object', () => {
+    for (const data of [null, 'Tent', 3, ['Tent']]) {
+      assert.equal(validateMutations([{ op: 'create', data }]), 'mutations[0].data must be an object');
+    }
+  });
+});
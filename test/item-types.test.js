@@ -0,0 +1,38 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateItemMetadata } = require('../lib/item-types');
+
+/**
+ * Query client that answers getItemType() with a fixed row
+ */
+function clientFor(schema, version = 1) {
+  return {
+    query: async () => ({
+      rows: [{ key: 'book', name: 'Book', current_version: version, version, schema }]
+    })
+  };
+}
+
+describe('item types', () => {
+  it('validates metadata against the latest schema', async () => {
+    const client = clientFor({ type: 'object', required: ['isbn'], properties: { isbn: { type: 'string' } } });
+
+    assert.deepEqual(await validateItemMetadata(client, 'book', { isbn: '978-0' }), { version: 1 });
+
+    const invalid = await validateItemMetadata(client, 'book', {});
+    assert.equal(invalid.code, 'INVALID_METADATA');
+    assert.deepEqual(invalid.errors.map(error => error.field), ['metadata.isbn']);
+  });
+
+  it('uses the new schema when a deleted type is registered again', async () => {
+    const before = clientFor({ type: 'object', required: ['isbn'] });
+    const after = clientFor({ type: 'object', required: ['pages'] });
+
+    assert.equal((await validateItemMetadata(before, 'book', { isbn: '978-0' })).version, 1);
+
+    const result = await validateItemMetadata(after, 'book', { isbn: '978-0' });
+    assert.equal(result.code, 'INVALID_METADATA');
+    assert.deepEqual(result.errors.map(error => error.field), ['metadata.pages']);
+  });
+});
@@ -0,0 +1,189 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+process.env.WEBAUTHN_RP_ID = 'localhost';
+process.env.WEBAUTHN_ORIGINS = 'http://localhost:8080';
+
+const { pool } = require('../config/database');
+const passkeys = require('../lib/passkeys');
+const { SoftwareAuthenticator } = require('./helpers/authenticator');
+const { PasskeyStore } = require('./helpers/passkey-store');
+
+const user = { id: 1, email: 'sam@example.com', name: 'Sam' };
+const otherUser = { id: 2, email: 'alex@example.com', name: 'Alex' };
+
+describe('passkeys', () => {
+  let store;
+  let restore;
+  let authenticator;
+
+  beforeEach(() => {
+    store = new PasskeyStore();
+    store.users.push(user, otherUser);
+    restore = store.install(pool);
+    authenticator = new SoftwareAuthenticator();
+  });
+
+  afterEach(() => {
+    restore();
+  });
+
+  async function register() {
+    const { challenge_id: challengeId, options } = await passkeys.startRegistration(user);
+    return passkeys.finishRegistration(user, challengeId, authenticator.createCredential(options), 'Laptop');
+  }
+
+  describe('registration', () => {
+    it('stores the credential from a valid attestation', async () => {
+      const credential = await register();
+
+      assert.ok(credential);
+      assert.equal(credential.name, 'Laptop');
+      assert.equal(store.credentials.length, 1);
+      assert.equal(store.credentials[0].credential_id, authenticator.id);
+      assert.equal(store.credentials[0].user_id, user.id);
+      assert.equal(store.credentials[0].counter, '0');
+    });
+
+    it('excludes credentials the user already has', async () => {
+      await register();
+
+      const { options } = await passkeys.startRegistration(user);
+
+      assert.deepEqual(options.excludeCredentials.map(credential => credential.id), [authenticator.id]);
+    });
+
+    it('rejects an attestation for another challenge', async () => {
+      const { challenge_id: challengeId, options } = await passkeys.startRegistration(user);
+      const response = authenticator.createCredential(options, { challenge: crypto.randomBytes(32).toString('base64url') });
+
+      assert.equal(await passkeys.finishRegistration(user, challengeId, response), null);
+      assert.equal(store.credentials.length, 0);
+    });
+
+    it('rejects an attestation from another origin', async () => {
+      const { challenge_id: challengeId, options } = await passkeys.startRegistration(user);
+      const response = authenticator.createCredential(options, { origin: 'https://evil.example' });
+
+      assert.equal(await passkeys.finishRegistration(user, challengeId, response), null);
+    });
+
+    it('rejects a challenge issued to another user', async () => {
+      const { challenge_id: challengeId, options } = await passkeys.startRegistration(otherUser);
+
+      assert.equal(await passkeys.finishRegistration(user, challengeId, authenticator.createCredential(options)), null);
+    });
+  });
+
+  describe('authentication', () => {
+    beforeEach(async () => {
+      assert.ok(await register());
+    });
+
+    it('signs in with a valid assertion and stores the new counter', async () => {
+      const { challenge_id: challengeId, options } = await passkeys.startAuthentication();
+
+      const userId = await passkeys.finishAuthentication(challengeId, authenticator.getAssertion(options));
+
+      assert.equal(userId, user.id);
+      assert.equal(store.credentials[0].counter, '1');
+      assert.ok(store.credentials[0].last_used_at);
+    });
+
+    it('offers the credentials of the given email', async () => {
+      const { options } = await passkeys.startAuthentication('SAM@example.com');
+
+      assert.deepEqual(options.allowCredentials.map(credential => credential.id), [authenticator.id]);
+    });
+
+    it('rejects an assertion whose counter did not increase', async () => {
+      let started = await passkeys.startAuthentication();
+      await passkeys.finishAuthentication(started.challenge_id, authenticator.getAssertion(started.options, { counter: 5 }));
+
+      started = await passkeys.startAuthentication();
+      const replayed = authenticator.getAssertion(started.options, { counter: 5 });
+
+      assert.equal(await passkeys.finishAuthentication(started.challenge_id, replayed), null);
+      assert.equal(store.credentials[0].counter, '5');
+
+      started = await passkeys.startAuthentication();
+      const regressed = authenticator.getAssertion(started.options, { counter: 3 });
+
+      assert.equal(await passkeys.finishAuthentication(started.challenge_id, regressed), null);
+      assert.equal(store.credentials[0].counter, '5');
+    });
+
+    it('rejects an assertion signed with another key', async () => {
+      const { challenge_id: challengeId, options } = await passkeys.startAuthentication();
+      const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+      const response = authenticator.getAssertion(options, { signingKey: privateKey });
+
+      assert.equal(await passkeys.finishAuthentication(challengeId, response), null);
+    });
+
+    it('rejects an assertion from another origin', async () => {
+      const { challenge_id: challengeId, options } = await passkeys.startAuthentication();
+      const response = authenticator.getAssertion(options, { origin: 'https://evil.example' });
+
+      assert.equal(await passkeys.finishAuthentication(challengeId, response), null);
+    });
+
+    it('rejects an unknown credential', async () => {
+      const { challenge_id: challengeId, options } = await passkeys.startAuthentication();
+      const response = new SoftwareAuthenticator().getAssertion(options);
+
+      assert.equal(await passkeys.finishAuthentication(challengeId, response), null);
+    });
+  });
+
+  describe('challenges', () => {
+    beforeEach(async () => {
+      assert.ok(await register());
+    });
+
+    it('can be used only once', async () => {
+      const { challenge_id: challengeId, options } = await passkeys.startAuthentication();
+
+      assert.equal(await passkeys.finishAuthentication(challengeId, authenticator.getAssertion(options)), user.id);
+      assert.equal(await passkeys.finishAuthentication(challengeId, authenticator.getAssertion(options)), null);
+    });
+
+    it('are consumed by a failed attempt', async () => {
+      const { challenge_id: challengeId, options } = await passkeys.startAuthentication();
+      const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+      assert.equal(await passkeys.finishAuthentication(challengeId, authenticator.getAssertion(options, { signingKey: privateKey })), null);
+      assert.equal(await passkeys.finishAuthentication(challengeId, authenticator.getAssertion(options)), null);
+    });
+
+    it('expire after five minutes', async () => {
+      const { challenge_id: challengeId, options } = await passkeys.startAuthentication();
+
+      store.advance(5 * 60 * 1000 + 1);
+
+      assert.equal(await passkeys.finishAuthentication(challengeId, authenticator.getAssertion(options)), null);
+    });
+
+    it('are still valid just before they expire', async () => {
+      const { challenge_id: challengeId, options } = await passkeys.startAuthentication();
+
+      store.advance(5 * 60 * 1000 - 1000);
+
+      assert.equal(await passkeys.finishAuthentication(challengeId, authenticator.getAssertion(options)), user.id);
+    });
+
+    it('only work for the ceremony they were issued for', async () => {
+      const { challenge_id: challengeId, options } = await passkeys.startRegistration(user);
+
+      assert.equal(await passkeys.finishAuthentication(challengeId, authenticator.getAssertion(options)), null);
+    });
+
+    it('reject malformed ids', async () => {
+      const { options } = await passkeys.startAuthentication();
+
+      assert.equal(await passkeys.finishAuthentication('not-a-uuid', authenticator.getAssertion(options)), null);
+    });
+  });
+});